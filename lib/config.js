@@ -8,61 +8,332 @@
  * The JSON files may be invalid JSON files in the sense that they may contain
  * JavaScript comments, removed before parsing. They must be valid otherwise.
  *
- * Note: The config only checks process.env for configuration settings it finds
- * in config.json or config.defaults.json. In particular, you cannot define
- * new settings in process.env and expect them to be picked up by this helper.
+ * Environment variables prefixed with "HOOKMACHINE_" define settings, that
+ * may not exist in config.json or config.defaults.json. Path-style variables
+ * set nested settings, path segments being separated by "__", e.g.
+ * "HOOKMACHINE_POST_RECEIVE_HOOKS__build__action__script". Variables that
+ * end with "_FILE" give the name of a file that contains the value of the
+ * setting, e.g. "HOOKMACHINE_KEY_MAIN_FILE=/run/secrets/deploykey".
+ *
+ * Values are parsed as JSON when possible, and taken as strings otherwise.
+ * Values of string settings such as secrets, tokens and private keys are
+ * always taken as strings, so that a secret made of digits does not turn
+ * into a number. Secrets may still be given as JSON lists of secrets.
+ *
+ * The resulting configuration is validated (see configschema.js). Files that
+ * cannot be read or parsed are reported as problems as well, except for a
+ * missing config.json file.
  */
 /*global __dirname, process, module*/
 
 var fs = require('fs');
 var path = require('path');
+var configschema = require('./configschema');
+
+
+/**
+ * Reads the given JSON configuration file
+ *
+ * @function
+ * @private
+ * @param {string} file The name of the file, relative to the root folder
+ * @param {boolean} optional Whether the file may be missing
+ * @param {Array(Object)} problems The list of problems to complete
+ * @return {Object} The settings that the file defines, an empty object if
+ *  the file could not be read.
+ */
+var readFile = function (file, optional, problems) {
+  var filename = path.resolve(__dirname, '..', file);
+  var contents = '';
+  try {
+    contents = fs.readFileSync(filename, 'utf8');
+  }
+  catch (err) {
+    if (!optional || (err.code !== 'ENOENT')) {
+      problems.push({
+        level: 'error',
+        source: file,
+        path: '',
+        message: 'could not read file, ' + err.message
+      });
+    }
+    return {};
+  }
+
+  try {
+    contents = JSON.parse(contents
+      .replace('\n', '')
+      .replace(/\/\*[\s\S]*?\*\//g, ''));
+  }
+  catch (err) {
+    problems.push({
+      level: 'error',
+      source: file,
+      path: '',
+      message: 'invalid JSON, ' + err.message
+    });
+    return {};
+  }
+  if (!contents || (typeof contents !== 'object') || Array.isArray(contents)) {
+    problems.push({
+      level: 'error',
+      source: file,
+      path: '',
+      message: 'must contain a JSON object'
+    });
+    return {};
+  }
+  return contents;
+};
+
+
+/**
+ * Prefix of environment variables that define settings
+ */
+var PREFIX = 'HOOKMACHINE_';
+
+
+/**
+ * Top-level settings whose values are strings, private SSH keys aside
+ */
+var STRING_SETTINGS = [
+  'API_TOKEN', 'HOOK_SECRET', 'GIT_USERNAME', 'GIT_USEREMAIL', 'HOST',
+  'DATA_FOLDER'
+];
+
+
+/**
+ * Action properties whose values are strings
+ */
+var ACTION_STRING_PROPERTIES = [
+  'origin', 'script', 'branch', 'commit', 'check', 'privatekey',
+  'concurrencyKey'
+];
+
+
+/**
+ * Tells whether the setting at the given path is a string setting, whose
+ * value must not be parsed as JSON
+ *
+ * @function
+ * @private
+ * @param {Array(string)} settingPath The path of the setting
+ * @return {boolean} true for string settings
+ */
+var isStringSetting = function (settingPath) {
+  var name = settingPath[0];
+  var last = settingPath[settingPath.length - 1];
+  if (settingPath.length === 1) {
+    return !!name.match(/^KEY_/) || (STRING_SETTINGS.indexOf(name) !== -1);
+  }
+  if (settingPath.length === 2) {
+    return name === 'HOOK_SECRETS';
+  }
+
+  // Properties of hooks and triggers, and of their action
+  var isAction = (settingPath.length === 4) && (settingPath[2] === 'action');
+  if ((settingPath.length === 3) || isAction) {
+    if (name === 'POST_RECEIVE_HOOKS') {
+      return isAction ? (ACTION_STRING_PROPERTIES.indexOf(last) !== -1) :
+        (last === 'secret');
+    }
+    if (name === 'TRIGGERS') {
+      return isAction ? (ACTION_STRING_PROPERTIES.indexOf(last) !== -1) :
+        ((last === 'secret') || (last === 'token'));
+    }
+    if (name === 'PERIODIC_HOOKS') {
+      // Periodic hooks may define the action directly
+      return ACTION_STRING_PROPERTIES.indexOf(last) !== -1;
+    }
+  }
+  return false;
+};
+
 
-var config = {};
-var filename = '';
-var contents = '';
-
-// Read config from config.defaults.json
-try {
-  filename = path.resolve(__dirname, '..', 'config.defaults.json');
-  contents = fs.readFileSync(filename, 'utf8')
-    .replace('\n', '')
-    .replace(/\/\*[\s\S]*?\*\//g, '');
-  config = JSON.parse(contents);
-}
-catch (e) {
-}
-
-// Read config from config.json
-try {
-  filename = path.resolve(__dirname, '..', 'config.json');
-  contents = fs.readFileSync(filename, 'utf8')
-    .replace('\n', '')
-    .replace(/\/\*[\s\S]*?\*\//g, '');
-  contents = JSON.parse(contents);
-  Object.keys(contents).forEach(function (key) {
-    config[key] = contents[key];
+/**
+ * Returns the environment variables that define settings, settings being
+ * set before nested settings so that a variable can define a setting and
+ * another variable change a nested setting.
+ *
+ * @function
+ * @private
+ * @return {Array(Object)} The list of variables, each with its "name", the
+ *  "path" of the setting as a list of segments, and a "file" flag set when
+ *  the variable gives the name of the file that contains the value.
+ */
+var getVariables = function () {
+  var variables = Object.keys(process.env).filter(function (name) {
+    return name.indexOf(PREFIX) === 0;
+  }).map(function (name) {
+    var setting = name.substring(PREFIX.length);
+    var file = !!setting.match(/.+_FILE$/);
+    if (file) {
+      setting = setting.substring(0, setting.length - '_FILE'.length);
+    }
+    return {
+      name: name,
+      path: setting.split('__'),
+      file: file
+    };
+  });
+  variables.sort(function (a, b) {
+    return (a.path.length - b.path.length) ||
+      ((a.name < b.name) ? -1 : ((a.name > b.name) ? 1 : 0));
   });
-}
-catch (e) {
-}
-
-// Parse configuration keys and detect whether some environment setting
-// is defined
-Object.keys(config).forEach(function (key) {
-  if (typeof process.env['HOOKMACHINE_' + key] !== 'undefined') {
+  return variables;
+};
+
+
+/**
+ * Reads the value of the given environment variable
+ *
+ * Values read from files lose their trailing line breaks, except for private
+ * SSH keys. Values of string settings are only parsed as JSON when they are
+ * lists, e.g. lists of secrets (see isStringSetting).
+ *
+ * @function
+ * @private
+ * @param {Object} variable The variable, as returned by getVariables
+ * @param {Array(Object)} problems The list of problems to complete
+ * @return {*} The value of the setting, undefined if it could not be read
+ */
+var readVariable = function (variable, problems) {
+  var value = process.env[variable.name];
+  if (variable.file) {
     try {
-      config[key] = JSON.parse(process.env['HOOKMACHINE_' + key]);
+      value = fs.readFileSync(value, 'utf8');
+    }
+    catch (err) {
+      problems.push({
+        level: 'error',
+        source: variable.name,
+        path: variable.path.join('.'),
+        message: 'could not read file, ' + err.message
+      });
+      return undefined;
     }
-    catch (e) {
-      config[key] = process.env['HOOKMACHINE_' + key]
-        .replace(/\\n/g, '\n');
+    if ((variable.path.length > 1) || !variable.path[0].match(/^KEY_/)) {
+      value = value.replace(/[\r\n]+$/, '');
     }
   }
-});
 
-// Heroku passes the PORT env variable
-if (typeof process.env.PORT !== 'undefined') {
-  config.PORT = process.env.PORT;
-}
+  var parsed;
+  try {
+    parsed = JSON.parse(value);
+  }
+  catch (e) {
+    return variable.file ? value : value.replace(/\\n/g, '\n');
+  }
+  if (isStringSetting(variable.path) && !Array.isArray(parsed)) {
+    return variable.file ? value : value.replace(/\\n/g, '\n');
+  }
+  return parsed;
+};
+
+
+/**
+ * Sets the setting at the given path, creating intermediate objects as
+ * needed
+ *
+ * @function
+ * @private
+ * @param {Object} config The configuration to update
+ * @param {Array(string)} settingPath The path of the setting
+ * @param {*} value The value of the setting
+ * @param {Array(string)} created The list of paths of intermediate objects
+ *  created, to complete
+ * @return {string} An error message when the setting cannot be set because
+ *  one of its parents is not an object, null otherwise
+ */
+var setValue = function (config, settingPath, value, created) {
+  var parent = config;
+  for (var i = 0; i < settingPath.length - 1; i++) {
+    var segment = settingPath[i];
+    if ((parent[segment] === undefined) || (parent[segment] === null)) {
+      parent[segment] = {};
+      created.push(settingPath.slice(0, i + 1).join('.'));
+    }
+    else if (typeof parent[segment] !== 'object') {
+      return settingPath.slice(0, i + 1).join('.') + ' is not an object';
+    }
+    parent = parent[segment];
+  }
+  parent[settingPath[settingPath.length - 1]] = value;
+  return null;
+};
+
+
+/**
+ * Reads and validates the configuration
+ *
+ * @function
+ * @return {Object} The configuration in "config", the source of each setting
+ *  in "sources" (file or environment variable, indexed by the path of the
+ *  setting, nested settings being set by path-style environment variables),
+ *  and the list of "problems"
+ *  found, each with a "level" ("error" or "warning"), a "source", a "path"
+ *  and a "message".
+ */
+var load = function () {
+  var config = {};
+  var sources = {};
+  var problems = [];
+
+  // Read config from config.defaults.json, then from config.json
+  ['config.defaults.json', 'config.json'].forEach(function (file) {
+    var contents = readFile(file, file === 'config.json', problems);
+    Object.keys(contents).forEach(function (key) {
+      config[key] = contents[key];
+      sources[key] = file;
+    });
+  });
+
+  // Apply environment variables
+  getVariables().forEach(function (variable) {
+    var settingPath = variable.path.join('.');
+    if (variable.path.indexOf('') !== -1) {
+      problems.push({
+        level: 'warning',
+        source: variable.name,
+        path: '',
+        message: 'invalid setting path, ignored'
+      });
+      return;
+    }
+
+    var value = readVariable(variable, problems);
+    if (value === undefined) return;
+    var created = [];
+    var error = setValue(config, variable.path, value, created);
+    if (error) {
+      problems.push({
+        level: 'error',
+        source: variable.name,
+        path: settingPath,
+        message: 'cannot be set, ' + error
+      });
+      return;
+    }
+    created.concat(settingPath).forEach(function (createdPath) {
+      sources[createdPath] = variable.name;
+    });
+  });
+
+  // Heroku passes the PORT env variable
+  if (typeof process.env.PORT !== 'undefined') {
+    config.PORT = process.env.PORT;
+    sources.PORT = 'PORT';
+  }
+
+  return {
+    config: config,
+    sources: sources,
+    problems: problems.concat(configschema.validate(config, sources))
+  };
+};
+
 
-module.exports = config;
+module.exports = {
+  load: load,
+  format: configschema.format
+};
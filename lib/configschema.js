@@ -0,0 +1,403 @@
+/**
+ * @fileOverview Validates the configuration of the server.
+ *
+ * The validation reports all the problems it finds, each problem having:
+ * - a "level": "error" for settings that would break the server or a hook,
+ * "warning" for settings that are most likely typos, such as unknown
+ * settings, but that do not prevent the server from running.
+ * - the "source" of the setting: the configuration file that defines it, or
+ * the environment variable that overrides it
+ * - the "path" of the setting, e.g. "POST_RECEIVE_HOOKS.build.action.origin"
+ * - a "message" that describes the problem
+ *
+ * Numbers may be given as strings, since settings that come from environment
+ * variables may be strings.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var _ = require('underscore');
+  var pattern = require('./pattern');
+  var CronExpression = require('./cron');
+
+  /**
+   * Format of private SSH keys, empty keys being allowed
+   */
+  var privateKeyFormat = new RegExp('^(\\s*|-----BEGIN [A-Z ]*PRIVATE ' +
+    'KEY-----[\\s\\S]+-----END [A-Z ]*PRIVATE KEY-----\\s*)$');
+
+
+  /**
+   * The functions below create validators for the different types of
+   * settings. A validator is a function that takes the value of a setting,
+   * its path and a function to call to report a problem with a level, a
+   * path and a message.
+   */
+
+  var string = function () {
+    return function (value, path, report) {
+      if (!_.isString(value)) report('error', path, 'must be a string');
+    };
+  };
+
+  var boolean = function () {
+    return function (value, path, report) {
+      if (!_.isBoolean(value)) report('error', path, 'must be a boolean');
+    };
+  };
+
+  var number = function (min, max, integer) {
+    return function (value, path, report) {
+      var num = _.isString(value) && value.match(/^\s*-?\d+(\.\d+)?\s*$/) ?
+        parseFloat(value) : value;
+      if (!_.isNumber(num) || isNaN(num) ||
+          (integer && (Math.floor(num) !== num))) {
+        report('error', path,
+          'must be ' + (integer ? 'an integer' : 'a number'));
+      }
+      else if (_.isNumber(min) && _.isNumber(max) &&
+          ((num < min) || (num > max))) {
+        report('error', path, 'must be between ' + min + ' and ' + max);
+      }
+      else if (_.isNumber(min) && (num < min)) {
+        report('error', path, 'must be at least ' + min);
+      }
+      else if (_.isNumber(max) && (num > max)) {
+        report('error', path, 'must be at most ' + max);
+      }
+    };
+  };
+
+  var integer = function (min, max) {
+    return number(min, max, true);
+  };
+
+  var oneOf = function (values) {
+    return function (value, path, report) {
+      if (!_.contains(values, value)) {
+        report('error', path, 'must be one of ' +
+          _.map(values, JSON.stringify).join(', '));
+      }
+    };
+  };
+
+  var matches = function (regexp, description) {
+    return function (value, path, report) {
+      if (!_.isString(value) || !value.match(regexp)) {
+        report('error', path, 'must be ' + description);
+      }
+    };
+  };
+
+  // Accepts values that pass at least one of the given validators
+  var either = function () {
+    var validators = _.toArray(arguments);
+    return function (value, path, report) {
+      var messages = [];
+      var ok = _.some(validators, function (validator) {
+        var failed = false;
+        validator(value, path, function (level, path, message) {
+          failed = failed || (level === 'error');
+          messages.push(message);
+        });
+        return !failed;
+      });
+      if (!ok) {
+        report('error', path, messages.join(', or '));
+      }
+    };
+  };
+
+  // Runs all the given validators
+  var all = function () {
+    var validators = _.toArray(arguments);
+    return function (value, path, report) {
+      _.each(validators, function (validator) {
+        validator(value, path, report);
+      });
+    };
+  };
+
+  var arrayOf = function (validator) {
+    return function (value, path, report) {
+      if (!_.isArray(value)) return report('error', path, 'must be a list');
+      _.each(value, function (item, index) {
+        validator(item, path + '[' + index + ']', report);
+      });
+    };
+  };
+
+  var isObject = function (value) {
+    return _.isObject(value) && !_.isArray(value) && !_.isFunction(value);
+  };
+
+  // Validates an object with the given properties. Options may list the
+  // "required" properties, and whether "unknown" properties are allowed.
+  var object = function (properties, options) {
+    options = options || {};
+    return function (value, path, report) {
+      if (!isObject(value)) return report('error', path, 'must be an object');
+      _.each(options.required || [], function (name) {
+        if ((value[name] === undefined) || (value[name] === null)) {
+          report('error', path + '.' + name, 'is required');
+        }
+      });
+      _.each(value, function (propValue, name) {
+        var propPath = path + '.' + name;
+        if (!properties.hasOwnProperty(name)) {
+          if (!options.unknown) {
+            report('warning', propPath, 'unknown setting, ignored');
+          }
+          return;
+        }
+        if ((propValue === undefined) || (propValue === null)) return;
+        properties[name](propValue, propPath, report);
+      });
+    };
+  };
+
+  // Validates an object whose properties all follow the given validator
+  var mapOf = function (validator) {
+    return function (value, path, report) {
+      if (!isObject(value)) return report('error', path, 'must be an object');
+      _.each(value, function (item, name) {
+        validator(item, path + '.' + name, report);
+      });
+    };
+  };
+
+  // Validates the patterns of post-receive hooks
+  var patterns = function () {
+    return function (value, path, report) {
+      try {
+        pattern.compileAll(value);
+      }
+      catch (err) {
+        report('error', path, err.message);
+      }
+    };
+  };
+
+
+  /**
+   * Returns the validator of the configuration
+   *
+   * @function
+   * @private
+   * @param {Object} config The configuration, used to check references to
+   *  private SSH keys
+   * @return {function} The validator
+   */
+  var getValidator = function (config) {
+    var retry = object({
+      maxAttempts: integer(1),
+      delay: number(0),
+      factor: number(1),
+      maxDelay: number(0),
+      errors: arrayOf(oneOf(['ParamError', 'ProxyError', 'InternalError'])),
+      exitCodes: arrayOf(integer(0, 255)),
+      steps: arrayOf(oneOf(['verify', 'clone', 'fetch', 'checkout',
+        'install', 'check', 'script']))
+    });
+
+    var env = mapOf(either(string(), number(), boolean()));
+
+    var actionProperties = {
+      origin: string(),
+      script: string(),
+      privatekey: function (value, path, report) {
+        if (!_.isString(value) || !value.match(/^KEY_/) ||
+            !config.hasOwnProperty(value)) {
+          report('error', path,
+            'must be the name of a KEY_* setting of the configuration');
+        }
+      },
+      branch: matches(/^[\w\.\/][\w\.\/\-]*$/, 'a branch name or a tag ref'),
+      commit: matches(/^[0-9a-f]{4,40}$/i, 'a commit SHA'),
+      pin: boolean(),
+      check: string(),
+      install: either(string(), oneOf([false])),
+      isolation: oneOf(['shared', 'worktree']),
+      keepWorkspace: oneOf(['failure', 'always', 'never']),
+      repair: oneOf(['reset', 'reclone', 'none']),
+      env: env,
+      retry: retry,
+      coalesce: boolean(),
+      concurrencyKey: string(),
+      timeout: number(1)
+    };
+    var action = object(actionProperties, {
+      required: ['origin', 'script']
+    });
+
+    // A secret, or a list of secrets valid at once to rotate secrets
+    var secrets = function (value, path, report) {
+      if (_.isArray(value)) return arrayOf(string())(value, path, report);
+      if (!_.isString(value)) {
+        report('error', path, 'must be a string or a list of strings');
+      }
+    };
+
+    var postReceiveHook = object({
+      provider: oneOf(['github', 'gitlab', 'gitea', 'bitbucket']),
+      secret: secrets,
+      event: string(),
+      reponame: patterns(),
+      ref: patterns(),
+      exclude: patterns(),
+      action: action
+    }, { required: ['action'] });
+
+    var scheduleProperties = {
+      schedule: string(),
+      interval: number(0),
+      timezone: string(),
+      jitter: number(0),
+      whenBusy: oneOf(['queue', 'defer', 'skip'])
+    };
+    var periodicHook = function (value, path, report) {
+      if (!isObject(value)) return report('error', path, 'must be an object');
+
+      // Periodic hooks may define the action directly
+      if (value.action === undefined) {
+        object(_.extend({}, actionProperties, scheduleProperties), {
+          required: ['origin', 'script']
+        })(value, path, report);
+      }
+      else {
+        object(_.extend({ action: action }, scheduleProperties))(
+          value, path, report);
+      }
+      if (_.isString(value.schedule)) {
+        try {
+          if (!new CronExpression(value.schedule, value.timezone)
+              .next(new Date())) {
+            report('error', path + '.schedule', 'never matches any date');
+          }
+        }
+        catch (err) {
+          report('error', path + '.schedule', err.message);
+        }
+      }
+    };
+
+    var trigger = all(object({
+      secret: string(),
+      token: string(),
+      env: mapOf(string()),
+      action: action
+    }, { required: ['action'] }), function (value, path, report) {
+      if (isObject(value) && !value.secret && !value.token) {
+        report('error', path, 'must define a secret or a token');
+      }
+    });
+
+    var settings = {
+      PORT: integer(1, 65535),
+      HOST: string(),
+      PERIODIC_INTERVAL: integer(1),
+      MAX_PARALLEL_TASKS: integer(1),
+      DATA_FOLDER: string(),
+      RETRY: retry,
+      RECOVERY: object({
+        action: oneOf(['requeue', 'fail']),
+        maxAttempts: integer(0)
+      }),
+      HOUSEKEEPING: object({
+        interval: number(0),
+        maxTaskAge: number(0),
+        maxTasksPerHook: integer(0),
+        maxDataSize: number(0)
+      }),
+      GIT_USERNAME: string(),
+      GIT_USEREMAIL: string(),
+      HOOK_SECRET: secrets,
+      HOOK_SECRETS: all(mapOf(secrets), function (value, path, report) {
+        if (!isObject(value)) return;
+        _.each(value, function (secret, reponame) {
+          patterns()(reponame, path + '.' + reponame, report);
+        });
+      }),
+      API_TOKEN: string(),
+      POST_RECEIVE_HOOKS: mapOf(postReceiveHook),
+      PERIODIC_HOOKS: mapOf(periodicHook),
+      TRIGGERS: mapOf(trigger),
+      WOODMAN: either(string(), object({}, { unknown: true }))
+    };
+
+    return function (value, report) {
+      _.each(value, function (setting, name) {
+        if (name.match(/^KEY_/)) {
+          return matches(privateKeyFormat, 'a private SSH key in PEM format')(
+            setting, name, report);
+        }
+        if (!settings.hasOwnProperty(name)) {
+          return report('warning', name, 'unknown setting, ignored');
+        }
+        if ((setting === undefined) || (setting === null)) return;
+        settings[name](setting, name, report);
+      });
+    };
+  };
+
+
+  return {
+    /**
+     * Validates the given configuration
+     *
+     * @function
+     * @param {Object} config The configuration to validate
+     * @param {Object} sources The source of settings, the name of the file or
+     *  of the environment variable that defines them, indexed by path.
+     * @return {Array(Object)} The list of problems, each with a "level",
+     *  a "source", a "path" and a "message". The list is empty when the
+     *  configuration is valid.
+     */
+    validate: function (config, sources) {
+      var problems = [];
+      sources = sources || {};
+
+      // The source of a setting is that of the setting itself or of its
+      // closest parent that has a source
+      var getSource = function (path) {
+        var segments = path.split(/\.|(?=\[)/);
+        while (segments.length) {
+          var source = sources[segments.join('.').replace(/\.\[/g, '[')];
+          if (source) return source;
+          segments.pop();
+        }
+        return '';
+      };
+
+      getValidator(config || {})(config || {}, function (level, path, msg) {
+        problems.push({
+          level: level,
+          source: getSource(path),
+          path: path,
+          message: msg
+        });
+      });
+      return problems;
+    },
+
+
+    /**
+     * Formats the given problem as a one-line message
+     *
+     * @function
+     * @param {Object} problem The problem to format
+     * @return {string} The message
+     */
+    format: function (problem) {
+      return problem.level + ': ' +
+        (problem.source ? problem.source + ': ' : '') +
+        (problem.path ? problem.path + ': ' : '') +
+        problem.message;
+    }
+  };
+});
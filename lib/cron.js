@@ -0,0 +1,338 @@
+/**
+ * @fileOverview Parses cron expressions and computes the next date that
+ * matches an expression.
+ *
+ * Expressions use the usual five fields "minute hour day-of-month month
+ * day-of-week". Each field accepts "*", values, ranges ("1-5"), steps
+ * ("*\/15", "0-30/10") and comma-separated lists. Months and days of week
+ * may also be given as three-letter English names ("jan", "mon"). Sunday is
+ * either 0 or 7. The "@yearly", "@monthly", "@weekly", "@daily", "@midnight"
+ * and "@hourly" shortcuts are supported as well.
+ *
+ * As in cron, when both the day-of-month and the day-of-week fields are
+ * restricted, a date matches if either field matches.
+ *
+ * Dates are evaluated in the local time of the server, or in the given
+ * time zone. Time zones require a version of Node.js that supports Intl.
+ *
+ * When clocks move forward, e.g. on a daylight saving time change, times
+ * that match the expression but that do not exist that day are replaced by
+ * the first minute after the change, so that runs are not skipped.
+ */
+/*global module, Intl*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var _ = require('underscore');
+  var ParamError = require('./errors/ParamError');
+
+  /**
+   * Shortcuts and their equivalent expressions
+   */
+  var shortcuts = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+  };
+
+  /**
+   * Definition of the fields of an expression, in order
+   */
+  var fields = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: [
+      'jan', 'feb', 'mar', 'apr', 'may', 'jun',
+      'jul', 'aug', 'sep', 'oct', 'nov', 'dec'
+    ] },
+    { name: 'weekday', min: 0, max: 7, names: [
+      'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'
+    ] }
+  ];
+
+  /**
+   * Maximum number of steps before giving up on finding a matching date,
+   * roughly 5 years when each step moves forward by one hour.
+   */
+  var MAX_STEPS = 5 * 366 * 24;
+
+
+  /**
+   * Parses a value of the given field, either a number or a name
+   *
+   * @function
+   * @private
+   */
+  var parseValue = function (value, field) {
+    var index = field.names ?
+      _.indexOf(field.names, value.toLowerCase()) : -1;
+    if (index >= 0) return index + field.min;
+    if (!value.match(/^\d+$/)) return NaN;
+    return parseInt(value, 10);
+  };
+
+
+  /**
+   * Parses one field of an expression and returns the map of allowed values
+   *
+   * @function
+   * @private
+   */
+  var parseField = function (str, field) {
+    var allowed = {};
+    _.each(str.split(','), function (part) {
+      var match = part.match(/^([^\/]+)(?:\/(\d+))?$/);
+      if (!match) {
+        throw new ParamError('Invalid ' + field.name + ' field "' + str + '"');
+      }
+      var step = match[2] ? parseInt(match[2], 10) : 1;
+      var start = field.min;
+      var end = field.max;
+      if (match[1] !== '*') {
+        var range = match[1].split('-');
+        start = parseValue(range[0], field);
+        end = (range.length > 1) ? parseValue(range[1], field) :
+          (match[2] ? field.max : start);
+        if (range.length > 2) {
+          start = NaN;
+        }
+      }
+      if (isNaN(start) || isNaN(end) || (start < field.min) ||
+          (end > field.max) || (start > end) || (step <= 0)) {
+        throw new ParamError('Invalid ' + field.name + ' field "' + str + '"');
+      }
+      for (var value = start; value <= end; value += step) {
+        allowed[value] = true;
+      }
+    });
+    return allowed;
+  };
+
+
+  /**
+   * Creates a cron expression.
+   *
+   * The constructor throws a ParamError when the expression or the time
+   * zone is invalid.
+   *
+   * @class
+   * @param {string} expression The cron expression
+   * @param {string} timezone The IANA time zone in which the expression is
+   *  evaluated, e.g. "Europe/Paris". Server local time if not given.
+   */
+  var CronExpression = function (expression, timezone) {
+    /**
+     * The expression, as given
+     */
+    this.expression = expression;
+
+    /**
+     * The time zone, if any
+     */
+    this.timezone = timezone || null;
+
+    var str = '' + (expression || '');
+    str = shortcuts[str.toLowerCase()] || str;
+    var parts = str.trim().split(/\s+/);
+    if (parts.length !== fields.length) {
+      throw new ParamError('Invalid cron expression "' + expression + '"');
+    }
+
+    /**
+     * Allowed values for each field, indexed by field name
+     */
+    this.allowed = {};
+    _.each(fields, function (field, index) {
+      this.allowed[field.name] = parseField(parts[index], field);
+    }, this);
+    if (this.allowed.weekday[7]) {
+      this.allowed.weekday[0] = true;
+    }
+
+    /**
+     * Whether day of month and day of week fields are restricted
+     */
+    this.restrictedDay = (parts[2] !== '*');
+    this.restrictedWeekday = (parts[4] !== '*');
+
+    if (this.timezone) {
+      if ((typeof Intl === 'undefined') || !Intl.DateTimeFormat) {
+        throw new ParamError('Time zones are not supported by this ' +
+          'version of Node.js');
+      }
+      try {
+        /**
+         * Formatter used to compute the local time in the time zone
+         */
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: this.timezone,
+          hour12: false,
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          weekday: 'short'
+        });
+      }
+      catch (err) {
+        throw new ParamError('Invalid time zone "' + this.timezone + '"');
+      }
+    }
+  };
+
+
+  /**
+   * Returns the local time fields of the given date
+   *
+   * @function
+   * @private
+   * @param {Date} date The date
+   * @return {Object} The minute, hour, day, month, year and weekday of the
+   *  date
+   */
+  CronExpression.prototype.getFields = function (date) {
+    if (!this.formatter) {
+      return {
+        minute: date.getMinutes(),
+        hour: date.getHours(),
+        day: date.getDate(),
+        month: date.getMonth() + 1,
+        year: date.getFullYear(),
+        weekday: date.getDay()
+      };
+    }
+
+    // Format is "Mon, 10/19/2026, 14:05"
+    var parts = this.formatter.format(date).match(
+      /^(\w+),?\s+(\d+)\/(\d+)\/(\d+),?\s+(\d+):(\d+)/);
+    return {
+      minute: parseInt(parts[6], 10),
+      hour: parseInt(parts[5], 10) % 24,
+      day: parseInt(parts[3], 10),
+      month: parseInt(parts[2], 10),
+      year: parseInt(parts[4], 10),
+      weekday: _.indexOf(fields[4].names, parts[1].toLowerCase())
+    };
+  };
+
+
+  /**
+   * Returns the number of minutes since the epoch of the local time that
+   * the given fields describe, as if the time zone had no offset
+   *
+   * @function
+   * @private
+   */
+  var getWallTime = function (f) {
+    return Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute) / 60000;
+  };
+
+
+  /**
+   * Returns true if the day of the given fields matches the expression
+   *
+   * @function
+   * @private
+   */
+  CronExpression.prototype.matchesDay = function (f) {
+    if (!this.allowed.month[f.month]) return false;
+    var day = !!this.allowed.day[f.day];
+    var weekday = !!this.allowed.weekday[f.weekday];
+    if (this.restrictedDay && this.restrictedWeekday) {
+      return day || weekday;
+    }
+    return day && weekday;
+  };
+
+
+  /**
+   * Returns true if local times were skipped between the two given dates,
+   * because clocks moved forward, and if one of these local times matches
+   * the expression.
+   *
+   * @function
+   * @private
+   * @param {Object} from The first date, with its "time" and "fields"
+   * @param {Object} to The second date, with its "time" and "fields"
+   */
+  CronExpression.prototype.matchesGap = function (from, to) {
+    var start = getWallTime(from.fields);
+    var end = getWallTime(to.fields);
+    if ((end - start) <= ((to.time - from.time) / 60000)) return false;
+
+    for (var wall = start + 1; wall < end; wall++) {
+      var date = new Date(wall * 60000);
+      var f = {
+        minute: date.getUTCMinutes(),
+        hour: date.getUTCHours(),
+        day: date.getUTCDate(),
+        month: date.getUTCMonth() + 1,
+        weekday: date.getUTCDay()
+      };
+      if (this.matchesDay(f) && this.allowed.hour[f.hour] &&
+          this.allowed.minute[f.minute]) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+
+  /**
+   * Computes the first date strictly after the given date that matches
+   * the expression.
+   *
+   * @function
+   * @param {Date} after The date to start from, now if not given
+   * @return {Date} The next matching date, null if none could be found
+   *  within the next few years.
+   */
+  CronExpression.prototype.next = function (after) {
+    var time = (after || new Date()).getTime();
+    time = time - (time % 60000);
+    var previous = {
+      time: time,
+      fields: this.getFields(new Date(time))
+    };
+    time += 60000;
+
+    for (var i = 0; i < MAX_STEPS; i++) {
+      var date = new Date(time);
+      var f = this.getFields(date);
+      var current = { time: time, fields: f };
+      if (this.matchesGap(previous, current)) {
+        // A matching time was skipped, run at the first minute after that
+        return date;
+      }
+      previous = current;
+      if (!this.matchesDay(f) || !this.allowed.hour[f.hour]) {
+        // Move on to the beginning of next hour
+        time += (60 - f.minute) * 60000;
+      }
+      else if (!this.allowed.minute[f.minute]) {
+        // Move on to the next allowed minute, or to next hour
+        var minute = f.minute + 1;
+        while ((minute < 60) && !this.allowed.minute[minute]) {
+          minute += 1;
+        }
+        time += (minute - f.minute) * 60000;
+      }
+      else {
+        return date;
+      }
+    }
+    return null;
+  };
+
+  return CronExpression;
+});
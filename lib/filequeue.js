@@ -25,6 +25,30 @@ define(function (require) {
   var logger = woodman.getLogger('filequeue');
 
 
+  /**
+   * Default retry policy, tasks are not retried by default
+   */
+  var defaultRetryPolicy = {
+    maxAttempts: 1,
+    delay: 30,
+    factor: 2,
+    maxDelay: 3600,
+    errors: [],
+    exitCodes: [],
+    steps: ['clone', 'fetch', 'checkout']
+  };
+
+
+  /**
+   * Error classes that retry policies may reference by name
+   */
+  var errorClasses = {
+    ParamError: ParamError,
+    ProxyError: ProxyError,
+    InternalError: InternalError
+  };
+
+
   /**
    * Mutex used to serialize task files operations
    */
@@ -35,10 +59,21 @@ define(function (require) {
    * Creates a new task queue that processes tasks one after the other.
    *
    * @class
-   * @param {function(Object, function)} worker Function to call to run a task.
-   *  The function receives the task's parameters as first parameter and a
-   *  callback function that it must call when the task is over (with a
-   *  potential error as first parameter).
+   * @param {function(Object, Object, function)} worker Function to call to
+   *  run a task. The function receives the task's parameters as first
+   *  parameter, the task's context as second parameter (task ID, path
+   *  to the log file, path to the payload file of the task and list of
+   *  "steps" that the worker may fill, saved in the task) and
+   *  a callback function that it must call when the task is over (with
+   *  a potential error as first parameter and an optional result, saved in
+   *  the "result" property of the task, as second parameter).
+   *  The worker may set a "cancel" function in the context to stop the task
+   *  when it gets cancelled.
+   * @param {Object} options Queue options: "taskFolder", the folder that
+   *  stores tasks, "maxItems", the maximum number of tasks that may run in
+   *  parallel, "retry", the default retry policy of tasks (see
+   *  getRetryPolicy) and "recovery", the policy to apply to tasks
+   *  interrupted by a restart (see recoverTasks).
    */
   var TaskQueue = function (worker, options) {
     /**
@@ -71,6 +106,17 @@ define(function (require) {
      */
     this.initialized = false;
 
+    /**
+     * Timer set to check pending tasks again when the next retry is due
+     */
+    this.retryTimer = null;
+
+    /**
+     * Contexts of running tasks, indexed by task ID. The worker may set a
+     * "cancel" function in the context of a task to allow cancellation.
+     */
+    this.taskContexts = {};
+
 
     // Start next pending task if needed
     this.start();
@@ -78,17 +124,29 @@ define(function (require) {
 
 
   /**
-   * Starts the task queue, scheduling the first pending task
-   * if there is one.
+   * Starts the task queue, recovering tasks left in the "running" folder
+   * and scheduling the first pending task if there is one.
    *
    * @function
    * @private
    */
   TaskQueue.prototype.start = function () {
-    this.whenReady(_.bind(function (err) {
-      if (err) return;
-      this.checkNextTask();
-    }, this));
+    // Fake "start" task to take the lock
+    var startTask = {
+      id: 'start-' + uuid.v1()
+    };
+
+    var self = this;
+    this.lock(startTask, function (err) {
+      if (err) {
+        self.unlock(startTask);
+        return;
+      }
+      self.recoverTasks(function () {
+        self.unlock(startTask);
+        self.checkNextTask();
+      });
+    });
   };
 
 
@@ -108,6 +166,8 @@ define(function (require) {
     var self = this;
     async.each([
       'id',
+      'logs',
+      'payloads',
       'pending',
       'running'
     ], function (folder, next) {
@@ -123,24 +183,93 @@ define(function (require) {
       self.initialized = true;
       self.error = err;
 
+      return callback(err);
+    });
+  };
+
+
+  /**
+   * Recovers tasks left in the "running" folder, typically because the server
+   * was restarted while these tasks were running.
+   *
+   * The recovery policy is set by the "recovery" option of the queue, an
+   * object with the following properties:
+   * - action: "requeue" to put the tasks back in the "pending" folder, "fail"
+   *  to mark them as failed (the default)
+   * - maxAttempts: when tasks are re-queued, the maximum number of times a
+   *  task may run. Tasks that reach that number are marked as failed. No
+   *  limit by default.
+   *
+   * The interrupted run is recorded in the attempts history of the task in
+   * both cases. Failed tasks get an "interrupted" error code. The caller
+   * should have taken the lock.
+   *
+   * @function
+   * @private
+   * @param {function} callback Called when all tasks have been recovered
+   */
+  TaskQueue.prototype.recoverTasks = function (callback) {
+    callback = callback || function () {};
+
+    var policy = _.extend({
+      action: 'fail',
+      maxAttempts: 0
+    }, this.options.recovery);
+
+    var self = this;
+    this.readTasksFromFolder('running', function (err, tasks) {
       if (err) {
+        logger.error('recover', 'could not check "running" folder', err);
         return callback(err);
       }
 
-      // Ensure that the "running" folder is empty, warn about that otherwise
-      fs.readdir(self.baseFolder + path.sep + 'running', function (err, files) {
-        if (err) {
-          logger.error('when ready', 'could not check "running" folder', err);
-          return callback(err);
-        }
-        var file = _.find(files, function (file) {
-          return file.match(/\.json$/);
+      async.eachSeries(tasks, function (task, next) {
+        var now = (new Date()).toISOString();
+        task.attempts = task.attempts || [];
+        task.attempts.push({
+          dateStarted: task.dateStarted,
+          dateFinished: now,
+          status: 'interrupted',
+          error: 'Task interrupted by restart',
+          errorCode: 'interrupted'
         });
-        if (file) {
-          logger.warn('ghost task in "running" folder', 'file=' + file);
+
+        var requeue = (policy.action === 'requeue') &&
+          (!policy.maxAttempts ||
+            (task.attempts.length < policy.maxAttempts));
+        if (requeue) {
+          logger.warn('recover', 'taskId=' + task.id,
+            'interrupted task put back in "pending" folder');
+          task.status = 'pending';
         }
-        return callback();
-      });
+        else {
+          logger.warn('recover', 'taskId=' + task.id,
+            'interrupted task marked as failed');
+          task.status = 'failure';
+          task.error = 'Task interrupted by restart';
+          task.errorCode = 'interrupted';
+          task.dateFinished = now;
+        }
+
+        async.series([
+          function (done) {
+            self.saveTaskToFolder(task, 'id', done);
+          },
+          function (done) {
+            if (!requeue) return done();
+            self.saveTaskToFolder(task, 'pending', done);
+          },
+          function (done) {
+            self.removeTaskFromFolder(task, 'running', done);
+          }
+        ], function (err) {
+          if (err) {
+            logger.error('recover', 'taskId=' + task.id,
+              'could not recover task', err.toString());
+          }
+          return next();
+        });
+      }, callback);
     });
   };
 
@@ -230,14 +359,101 @@ define(function (require) {
     });
   };
 
+  /**
+   * Reads all the tasks saved in the given folder.
+   *
+   * Files that cannot be parsed are reported and skipped. The caller should
+   * have taken the lock.
+   *
+   * @function
+   * @private
+   * @param {string} folder The folder to read ("id", "pending", "running")
+   * @param {function} callback Called with the list of tasks, in no
+   *  particular order
+   */
+  TaskQueue.prototype.readTasksFromFolder = function (folder, callback) {
+    callback = callback || function () {};
+    var fullPath = this.baseFolder + path.sep + folder;
+    fs.readdir(fullPath, function (err, files) {
+      if (err) {
+        return callback(new InternalError(
+          'Could not read "' + folder + '" folder', err));
+      }
+
+      files = _.filter(files, function (file) {
+        return file.match(/\.json$/);
+      });
+      async.mapLimit(files, 10, function (file, next) {
+        fs.readFile(fullPath + path.sep + file, function (err, data) {
+          if (err) {
+            // Task may have moved to another folder in the meantime
+            logger.warn('read', 'could not read task file',
+              'folder=' + folder, 'file=' + file);
+            return next();
+          }
+          try {
+            return next(null, JSON.parse(data));
+          }
+          catch (parseErr) {
+            logger.warn('read', 'invalid task file',
+              'folder=' + folder, 'file=' + file);
+            return next();
+          }
+        });
+      }, function (err, tasks) {
+        return callback(err, _.compact(tasks || []));
+      });
+    });
+  };
+
+
+  /**
+   * Returns true when the two given tasks run the same action, meaning that
+   * running one of them makes the other one useless.
+   *
+   * Tasks run the same action when they target the same origin, branch,
+   * script and check script, with the same private key and environment.
+   *
+   * @function
+   * @private
+   * @param {Object} task The first task
+   * @param {Object} other The second task
+   * @return {boolean} true when the tasks run the same action
+   */
+  TaskQueue.prototype.isSameAction = function (task, other) {
+    var params = task.params || {};
+    var otherParams = other.params || {};
+    return (params.origin === otherParams.origin) &&
+      ((params.branch || 'master') === (otherParams.branch || 'master')) &&
+      (params.script === otherParams.script) &&
+      ((params.check || '') === (otherParams.check || '')) &&
+      ((params.privatekey || '') === (otherParams.privatekey || '')) &&
+      _.isEqual(params.env || {}, otherParams.env || {});
+  };
+
+
   /**
    * Creates a new task with the given parameters.
    *
    * The new task gets processed when possible.
    *
+   * If a pending task already runs the same action, the new task is merged
+   * into that pending task, which records the number of "triggers" it
+   * absorbed. The new task is still saved in the "id" folder, with a
+   * "coalesced" status and a "coalescedInto" property set to the ID of the
+   * pending task. Set the "coalesce" parameter to false to disable merging.
+   * The pending task takes the "event", "payload" and "commit" parameters of
+   * the new task, if defined, so that it runs with the details of the latest
+   * notification.
+   *
+   * The ID of the task is returned right away, before the task gets saved.
+   *
    * @function
    * @param {Object} params Task params
-   * @param {function} callback Called with the created task ID
+   * @param {function} callback Called with the ID of the task that will
+   *  actually run, which may be different from the created task ID if the
+   *  task was coalesced.
+   * @return {string} The ID of the created task
    */
   TaskQueue.prototype.push = function (params, callback) {
     callback = callback || function () {};
@@ -251,26 +467,63 @@ define(function (require) {
       id: uuid.v1(),
       params: params,
       status: 'pending',
-      dateCreated: (new Date()).toISOString()
+      dateCreated: (new Date()).toISOString(),
+      triggers: 1
     };
 
     logger.log('push', 'taskId=' + task.id, 'name=' + params.name);
 
     var self = this;
+    var pendingTask = null;
     async.waterfall([
       function (next) {
         logger.log('push', 'taskId=' + task.id, 'take the lock');
         self.lock(task, next);
       },
       function (next) {
+        if (params.coalesce === false) return next(null, []);
         logger.log('push', 'taskId=' + task.id,
-          'save task to "id" folder');
-        self.saveTaskToFolder(task, 'id', next);
+          'look for same action in "pending" folder');
+        self.readTasksFromFolder('pending', next);
+      },
+      function (tasks, next) {
+        pendingTask = _.find(tasks, function (pending) {
+          return (pending.params.coalesce !== false) &&
+            self.isSameAction(task, pending);
+        });
+        if (!pendingTask) {
+          logger.log('push', 'taskId=' + task.id,
+            'save task to "id" folder');
+          return self.saveTaskToFolder(task, 'id', next);
+        }
+
+        logger.info('push', 'taskId=' + task.id,
+          'coalesce into pending task', 'pendingTaskId=' + pendingTask.id);
+        pendingTask.triggers = (pendingTask.triggers || 1) + 1;
+        if (params.event) {
+          pendingTask.params.event = params.event;
+        }
+        if (params.payload) {
+          pendingTask.params.payload = params.payload;
+        }
+        if (params.commit) {
+          pendingTask.params.commit = params.commit;
+        }
+        delete pendingTask.retryAt;
+        pendingTask.coalescedTasks = pendingTask.coalescedTasks || [];
+        pendingTask.coalescedTasks.push(task.id);
+        task.status = 'coalesced';
+        task.coalescedInto = pendingTask.id;
+        task.dateFinished = task.dateCreated;
+        self.saveTaskToFolder(task, 'id', function (err) {
+          if (err) return next(err);
+          self.saveTaskToFolder(pendingTask, 'id', next);
+        });
       },
       function (next) {
         logger.log('push', 'taskId=' + task.id,
           'save task to "pending" folder');
-        self.saveTaskToFolder(task, 'pending', next);
+        self.saveTaskToFolder(pendingTask || task, 'pending', next);
       }
     ], function (err) {
       logger.log('push', 'taskId=' + task.id, 'release the lock');
@@ -281,11 +534,17 @@ define(function (require) {
         return callback(err);
       }
 
+      if (pendingTask) {
+        return callback(null, pendingTask.id);
+      }
+
       logger.log('push', 'taskId=' + task.id,
         'schedule check for next task');
       _.defer(_.bind(self.checkNextTask, self));
       return callback(null, task.id);
     });
+
+    return task.id;
   };
 
 
@@ -302,8 +561,74 @@ define(function (require) {
 
 
   /**
-   * Checks whether we may run another task. Schedules next pending task for
-   * execution if we can.
+   * Returns the concurrency key of the given task.
+   *
+   * Tasks that share the same concurrency key are run one after the other.
+   * The key is the "concurrencyKey" parameter of the task if defined, the
+   * Git origin of the task otherwise, completed with the branch for tasks
+   * that run in their own worktree.
+   *
+   * @function
+   * @param {Object} task The task
+   * @return {string} The concurrency key of the task, null if the task may
+   *  run in parallel with any other task.
+   */
+  TaskQueue.prototype.getConcurrencyKey = function (task) {
+    var params = (task && task.params) || {};
+    if (params.concurrencyKey || !params.origin) {
+      return params.concurrencyKey || null;
+    }
+    if (params.isolation === 'worktree') {
+      return params.origin + ' ' + (params.branch || 'master');
+    }
+    return params.origin;
+  };
+
+
+  /**
+   * Returns true if the given task may run alongside the running tasks, in
+   * other words if no running task has the same concurrency key or the same
+   * Git origin. Tasks on the same origin share the same local clone and must
+   * never run in parallel, whatever their concurrency key, unless one of
+   * them runs in its own worktree.
+   *
+   * @function
+   * @private
+   * @param {Object} task The task to check
+   * @return {boolean} true if the task may run
+   */
+  TaskQueue.prototype.canRunTask = function (task) {
+    var key = this.getConcurrencyKey(task);
+    var params = task.params || {};
+    var origin = (params.isolation === 'worktree') ? null : params.origin;
+    return !_.find(this.runningTasks, function (runningTask) {
+      return (key && (this.getConcurrencyKey(runningTask) === key)) ||
+        (origin && (runningTask.params.origin === origin) &&
+          (runningTask.params.isolation !== 'worktree'));
+    }, this);
+  };
+
+
+  /**
+   * Returns true if a task with the given parameters would have to wait for
+   * a running task to complete, because that running task has the same
+   * concurrency key or the same origin.
+   *
+   * @function
+   * @param {Object} params Task params
+   * @return {boolean} true if a running task blocks tasks with these params
+   */
+  TaskQueue.prototype.isBusy = function (params) {
+    return !this.canRunTask({ params: params || {} });
+  };
+
+
+  /**
+   * Checks whether we may run another task. Schedules the oldest pending task
+   * that may run for execution if we can.
+   *
+   * Tasks run in parallel up to options.maxItems, provided they have
+   * different concurrency keys (see getConcurrencyKey).
    *
    * @function
    * @private
@@ -314,15 +639,6 @@ define(function (require) {
       id: 'runner-' + uuid.v1()
     };
 
-    // Nothing to do if the maximum number of tasks that may be run in
-    // parallel has been reached. The task will eventually be picked up
-    // in the "pending" folder once a slot becomes available.
-    if (this.runningTasks && (this.options.maxItems > 0) &&
-        (this.runningTasks.length >= this.options.maxItems)) {
-      logger.log('check', 'need to wait, too many tasks running at once');
-      return;
-    }
-
     var self = this;
     var runningTask = null;
     async.waterfall([
@@ -331,36 +647,36 @@ define(function (require) {
         self.lock(runnerTask, next);
       },
       function (next) {
+        // Nothing to do if the maximum number of tasks that may be run in
+        // parallel has been reached. The task will eventually be picked up
+        // in the "pending" folder once a slot becomes available.
+        if ((self.options.maxItems > 0) &&
+            (self.runningTasks.length >= self.options.maxItems)) {
+          logger.log('check', 'need to wait, too many tasks running at once');
+          return next('all run');
+        }
         logger.log('check', 'read "pending" folder');
-        fs.readdir(self.baseFolder + path.sep + 'pending', next);
+        self.readTasksFromFolder('pending', next);
       },
-      function (files, next) {
+      function (tasks, next) {
         logger.log('check', 'find first task to run');
-        var file = _.find(files, function (file) {
-          return file.match(/\.json$/);
-        });
-        if (!file) {
+        if (tasks.length === 0) {
           logger.log('check', 'no more task to run');
           return next('all run');
         }
-        return next(null, file);
-      },
-      function (file, next) {
-        logger.log('check', 'read task file', 'file=' + file);
-        fs.readFile(
-          self.baseFolder + path.sep + 'pending' + path.sep + file,
-          next);
-      },
-      function (data, next) {
-        logger.log('check', 'parse JSON');
-        var task = null;
-        try {
-          task = JSON.parse(data);
-          return next(null, task);
-        }
-        catch (err) {
-          return next(err);
+        var now = Date.now();
+        var waiting = _.filter(tasks, function (task) {
+          return task.retryAt && (Date.parse(task.retryAt) > now);
+        });
+        self.scheduleRetryCheck(waiting);
+        var candidates = _.sortBy(_.difference(tasks, waiting), 'dateCreated');
+        var task = _.find(candidates, self.canRunTask, self);
+        if (!task) {
+          logger.log('check', 'need to wait, pending tasks are blocked',
+            'by running tasks with the same concurrency key');
+          return next('all run');
         }
+        return next(null, task);
       },
       function (task, next) {
         logger.log('check', 'taskId=' + task.id,
@@ -368,6 +684,8 @@ define(function (require) {
         self.runningTasks.push(task);
         runningTask = task;
         task.status = 'running';
+        task.dateStarted = (new Date()).toISOString();
+        delete task.retryAt;
         self.saveTaskToFolder(task, 'id', next);
       },
       function (next) {
@@ -407,14 +725,111 @@ define(function (require) {
       _.defer(function () {
         self.runTask(runningTask);
       });
+
+      // There may be room for another task
+      _.defer(_.bind(self.checkNextTask, self));
       return;
     });
   };
 
 
+  /**
+   * Schedules a check of pending tasks when the first of the given tasks
+   * that wait for a retry is due.
+   *
+   * @function
+   * @private
+   * @param {Array(Object)} tasks Pending tasks that wait for a retry
+   */
+  TaskQueue.prototype.scheduleRetryCheck = function (tasks) {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    if (tasks.length === 0) return;
+
+    var retryAt = _.min(_.map(tasks, function (task) {
+      return Date.parse(task.retryAt);
+    }));
+    this.retryTimer = setTimeout(_.bind(function () {
+      this.retryTimer = null;
+      this.checkNextTask();
+    }, this), Math.max(retryAt - Date.now(), 0) + 100);
+  };
+
+
+  /**
+   * Returns the retry policy of the given task.
+   *
+   * The policy is an object with the following properties, that the "retry"
+   * parameter of the task overrides, which overrides the "retry" option of
+   * the queue:
+   * - maxAttempts: the maximum number of times the task may run (1, meaning
+   *  no retry, by default)
+   * - delay: the number of seconds to wait before the first retry (30 by
+   *  default)
+   * - factor: the factor applied to the delay after each attempt (2 by
+   *  default)
+   * - maxDelay: the maximum number of seconds to wait between two attempts
+   *  (3600 by default)
+   * - errors: names of the error classes that may be retried, among
+   *  "ParamError", "ProxyError" and "InternalError"
+   * - exitCodes: exit codes of the worker that may be retried
+   * - steps: names of the steps whose exit codes may be retried, the Git
+   *  steps "clone", "fetch" and "checkout" by default. Exit codes of errors
+   *  that do not come from a step are not checked.
+   *
+   * An error may be retried if its class is listed, or if it comes from one
+   * of the listed steps and its exit code is listed.
+   *
+   * @function
+   * @param {Object} task The task
+   * @return {Object} The retry policy to apply
+   */
+  TaskQueue.prototype.getRetryPolicy = function (task) {
+    return _.extend({}, defaultRetryPolicy,
+      this.options.retry,
+      (task.params || {}).retry);
+  };
+
+
+  /**
+   * Returns the number of seconds to wait before the next attempt of the
+   * given task, or -1 if the task must not be retried.
+   *
+   * @function
+   * @private
+   * @param {Object} task The task that failed, with its attempts history
+   * @param {Error} err The error returned by the worker
+   * @return {Number} Number of seconds to wait, -1 not to retry the task
+   */
+  TaskQueue.prototype.getRetryDelay = function (task, err) {
+    var policy = this.getRetryPolicy(task);
+    var nbAttempts = task.attempts.length;
+    if (nbAttempts >= policy.maxAttempts) return -1;
+
+    var retryable = _.some(policy.errors, function (name) {
+      return errorClasses[name] && (err instanceof errorClasses[name]);
+    }) || ((typeof err.exitCode === 'number') &&
+      _.contains(policy.steps, err.step) &&
+      _.contains(policy.exitCodes, err.exitCode));
+    if (!retryable) return -1;
+
+    return Math.min(
+      policy.delay * Math.pow(policy.factor, nbAttempts - 1),
+      policy.maxDelay);
+  };
+
+
   /**
    * Processes the given task
    *
+   * The task is put back in the "pending" folder with a "retryAt" date when
+   * it fails with an error that its retry policy allows to retry. Each run of
+   * the task is recorded in its "attempts" history. A task that was cancelled
+   * between the time it was picked and the time it runs is marked as
+   * cancelled without calling the worker.
+   *
    * @function
    * @private
    * @param {Object} task The task to run
@@ -424,9 +839,33 @@ define(function (require) {
 
     var self = this;
 
-    logger.log('run task', 'taskId=' + task.id, 'apply worker');
-    this.worker(task.params, function (err, result) {
-      if (err) {
+    var context = {
+      taskId: task.id,
+      logFile: this.getLogFile(task.id),
+      payloadFile: this.getPayloadFile(task.id),
+      steps: []
+    };
+    this.taskContexts[task.id] = context;
+
+    var done = function (err, result) {
+      delete self.taskContexts[task.id];
+      var attempt = {
+        dateStarted: task.dateStarted,
+        dateFinished: (new Date()).toISOString()
+      };
+      var retryDelay = -1;
+      task.attempts = task.attempts || [];
+      task.attempts.push(attempt);
+      if (context.steps.length > 0) {
+        task.steps = context.steps;
+      }
+
+      if (err && context.cancelled) {
+        logger.info('run task', 'taskId=' + task.id, 'cancelled');
+        task.status = 'cancelled';
+        attempt.status = 'cancelled';
+      }
+      else if (err) {
         task.status = 'failure';
         task.error = err.toString();
         if (err instanceof ParamError) {
@@ -444,37 +883,187 @@ define(function (require) {
             'error', task.error);
           task.errorCode = 500;
         }
+        if (err.step) {
+          // The name of the step that failed is more telling
+          task.errorCode = err.step;
+        }
+        attempt.status = 'failure';
+        attempt.error = task.error;
+        attempt.errorCode = task.errorCode;
+        if (typeof err.exitCode === 'number') {
+          attempt.exitCode = err.exitCode;
+        }
+
+        retryDelay = self.getRetryDelay(task, err);
+        if (retryDelay >= 0) {
+          logger.info('run task', 'taskId=' + task.id,
+            'attempt ' + task.attempts.length + ' failed',
+            'retry in ' + retryDelay + 's');
+          task.status = 'pending';
+          task.retryAt = (new Date(Date.now() + retryDelay * 1000))
+            .toISOString();
+
+          // The error remains in the attempts history
+          delete task.error;
+          delete task.errorCode;
+        }
       }
       else {
         logger.log('run task', 'taskId=' + task.id, 'done');
         task.status = 'success';
-        if (result) {
-          task.result = result;
-        }
+        delete task.error;
+        delete task.errorCode;
+        attempt.status = 'success';
+      }
+      if (result) {
+        task.result = result;
+      }
+      if (retryDelay < 0) {
+        task.dateFinished = attempt.dateFinished;
       }
-      task.dateFinished = (new Date()).toISOString();
 
       self.runningTasks = _.without(self.runningTasks, task);
-      self.saveTaskToFolder(task, 'id', function (err) {
-        if (err) {
-          logger.error('run task', 'taskId=' + task.id,
-            'could not save task result', 'status=' + task.status,
-            err.toString());
+      async.series([
+        function (next) {
+          self.lock(task, next);
+        },
+        function (next) {
+          self.saveTaskToFolder(task, 'id', function (err) {
+            if (err) {
+              logger.error('run task', 'taskId=' + task.id,
+                'could not save task result', 'status=' + task.status,
+                err.toString());
+            }
+            return next();
+          });
+        },
+        function (next) {
+          if (retryDelay < 0) return next();
+          self.saveTaskToFolder(task, 'pending', function (err) {
+            if (err) {
+              logger.error('run task', 'taskId=' + task.id,
+                'could not save task to "pending" folder for retry',
+                err.toString());
+            }
+            return next();
+          });
+        },
+        function (next) {
+          self.removeTaskFromFolder(task, 'running', function (err) {
+            if (err) {
+              logger.error('run task', 'taskId=' + task.id,
+                'could not remove task from "running" folder',
+                err.toString());
+            }
+            return next();
+          });
         }
+      ], function () {
+        self.unlock(task);
 
-        self.removeTaskFromFolder(task, 'running', function (err) {
-          if (err) {
-            logger.error('run task', 'taskId=' + task.id,
-              'could not remove task from "running" folder',
-              err.toString());
+        // On to next pending task
+        logger.log('run task', 'taskId=' + task.id, 'on to next task');
+        _.defer(_.bind(self.checkNextTask, self));
+        return;
+      });
+    };
+
+    // The task may have been cancelled before the worker could start
+    if (task.cancelRequested) {
+      context.cancelled = true;
+      return done(new InternalError('Task cancelled before it started'));
+    }
+
+    logger.log('run task', 'taskId=' + task.id, 'apply worker');
+    this.worker(task.params, context, done);
+  };
+
+
+  /**
+   * Cancels the task with the given ID.
+   *
+   * A pending task is removed from the "pending" folder right away. A
+   * running task is stopped through the "cancel" function that the worker
+   * set in the task's context, if any. In both cases, the task ends up with
+   * a "cancelled" status. For running tasks, that only happens once the
+   * worker is over, the task gets a "cancelRequested" flag in the meantime
+   * (and ends up with a "success" status if the worker managed to complete
+   * the task in the end).
+   *
+   * @function
+   * @param {string} taskId The ID of the task to cancel
+   * @param {function} callback Called with the updated task, or without
+   *  any task if the task could not be found. Tasks that are already over
+   *  are returned unchanged.
+   */
+  TaskQueue.prototype.cancel = function (taskId, callback) {
+    callback = callback || function () {};
+
+    var cancelTask = {
+      id: 'cancel-' + uuid.v1()
+    };
+
+    var self = this;
+    var task = null;
+    async.waterfall([
+      function (next) {
+        self.lock(cancelTask, next);
+      },
+      function (next) {
+        var runningTask = _.findWhere(self.runningTasks, { id: taskId });
+        if (runningTask) {
+          logger.info('cancel', 'taskId=' + taskId, 'stop running task');
+          task = runningTask;
+          task.cancelRequested = true;
+          var context = self.taskContexts[taskId];
+          if (context) {
+            context.cancelled = true;
+            if (context.cancel) {
+              context.cancel();
+            }
           }
+          return self.saveTaskToFolder(task, 'id', next);
+        }
 
-          // On to next pending task
-          logger.log('run task', 'taskId=' + task.id, 'on to next task');
-          _.defer(_.bind(self.checkNextTask, self));
-          return;
+        var file = self.baseFolder + path.sep + 'pending' +
+          path.sep + taskId + '.json';
+        fs.readFile(file, function (err, data) {
+          if (err) return next();
+          try {
+            task = JSON.parse(data);
+          }
+          catch (parseErr) {
+            return next(parseErr);
+          }
+          logger.info('cancel', 'taskId=' + taskId, 'remove pending task');
+          task.status = 'cancelled';
+          task.dateFinished = (new Date()).toISOString();
+          delete task.retryAt;
+          async.series([
+            function (done) {
+              self.saveTaskToFolder(task, 'id', done);
+            },
+            function (done) {
+              self.removeTaskFromFolder(task, 'pending', done);
+            }
+          ], function (err) {
+            return next(err);
+          });
         });
-      });
+      }
+    ], function (err) {
+      self.unlock(cancelTask);
+
+      if (err) {
+        logger.error('cancel', 'taskId=' + taskId, 'error', err.toString());
+        return callback(err);
+      }
+      if (task) {
+        return callback(null, task);
+      }
+
+      // Not pending nor running, return the task as is
+      return self.get(taskId, callback);
     });
   };
 
@@ -541,5 +1130,205 @@ define(function (require) {
     });
   };
 
+
+  /**
+   * Returns the path to the file that contains the output of the given task.
+   *
+   * Note the file only exists once the task has started.
+   *
+   * @function
+   * @param {string} taskId The ID of the task
+   * @return {string} The path to the log file
+   */
+  TaskQueue.prototype.getLogFile = function (taskId) {
+    return this.baseFolder + path.sep + 'logs' +
+      path.sep + taskId + '.log';
+  };
+
+
+  /**
+   * Returns the path to the file that contains the payload of the
+   * notification that triggered the given task.
+   *
+   * Note the file only exists once the task has started, and only if the
+   * task was triggered by a notification.
+   *
+   * @function
+   * @param {string} taskId The ID of the task
+   * @return {string} The path to the payload file
+   */
+  TaskQueue.prototype.getPayloadFile = function (taskId) {
+    return this.baseFolder + path.sep + 'payloads' +
+      path.sep + taskId + '.json';
+  };
+
+
+  /**
+   * Lists the tasks that match the given filters, newest first.
+   *
+   * All filters are optional. Values may be strings, as received in a query
+   * string for instance:
+   * - status: task status. Several statuses may be separated by commas
+   * - name: the name of the hook that created the task
+   * - origin: the Git origin of the task
+   * - from: what triggered the task, "github" or "monitoring"
+   * - since: only return tasks created at or after that date
+   * - until: only return tasks created before that date
+   * - offset: number of matching tasks to skip (0 by default)
+   * - limit: maximum number of tasks to return (20 by default)
+   *
+   * @function
+   * @param {Object} filters Filters to apply
+   * @param {function} callback Called with an object that contains the total
+   *  number of matching tasks in "total" and the requested tasks in "tasks".
+   */
+  TaskQueue.prototype.list = function (filters, callback) {
+    callback = callback || function () {};
+    filters = filters || {};
+
+    var statuses = filters.status ? ('' + filters.status).split(',') : null;
+    var since = filters.since ? new Date(filters.since) : null;
+    var until = filters.until ? new Date(filters.until) : null;
+    var offset = parseInt(filters.offset || 0, 10);
+    var limit = parseInt(filters.limit || 20, 10);
+    if ((since && isNaN(since.getTime())) ||
+        (until && isNaN(until.getTime()))) {
+      return callback(new ParamError('Invalid date range'));
+    }
+    if (isNaN(offset) || (offset < 0) || isNaN(limit) || (limit <= 0)) {
+      return callback(new ParamError('Invalid pagination parameters'));
+    }
+
+    var matches = function (task) {
+      var params = task.params || {};
+      var dateCreated = new Date(task.dateCreated);
+      if (statuses && !_.contains(statuses, task.status)) return false;
+      if (filters.name && (params.name !== filters.name)) return false;
+      if (filters.origin && (params.origin !== filters.origin)) return false;
+      if (filters.from && (params.from !== filters.from)) return false;
+      if (since && (dateCreated < since)) return false;
+      if (until && (dateCreated >= until)) return false;
+      return true;
+    };
+
+    var listTask = {
+      id: 'list-' + uuid.v1()
+    };
+
+    var self = this;
+    async.waterfall([
+      function (next) {
+        self.lock(listTask, next);
+      },
+      function (next) {
+        self.readTasksFromFolder('id', next);
+      }
+    ], function (err, tasks) {
+      self.unlock(listTask);
+
+      if (err) {
+        logger.error('list', 'error', err.toString());
+        return callback(err);
+      }
+
+      tasks = _.filter(tasks, matches);
+      tasks = _.sortBy(tasks, 'dateCreated').reverse();
+      return callback(null, {
+        total: tasks.length,
+        tasks: tasks.slice(offset, offset + limit)
+      });
+    });
+  };
+
+
+  /**
+   * Removes the records of finished tasks that are too old or too many,
+   * along with their log and payload files.
+   *
+   * Pending and running tasks are never removed, nor are they counted.
+   *
+   * @function
+   * @param {Object} options Pruning options, each being disabled when not
+   *  set or set to 0:
+   *  - maxAge: the maximum number of days since a task finished
+   *  - maxPerHook: the maximum number of finished tasks to keep per hook,
+   *  the most recent ones being kept.
+   * @param {function} callback Called with the list of IDs of the tasks that
+   *  were removed.
+   */
+  TaskQueue.prototype.prune = function (options, callback) {
+    callback = callback || function () {};
+    options = options || {};
+
+    var maxAge = parseFloat(options.maxAge || 0) || 0;
+    var maxPerHook = parseInt(options.maxPerHook || 0, 10) || 0;
+    var minDate = new Date(Date.now() - maxAge * 24 * 60 * 60 * 1000);
+
+    var pruneTask = {
+      id: 'prune-' + uuid.v1()
+    };
+
+    var self = this;
+    var removed = [];
+    async.waterfall([
+      function (next) {
+        self.lock(pruneTask, next);
+      },
+      function (next) {
+        self.readTasksFromFolder('id', next);
+      },
+      function (tasks, next) {
+        var finished = _.filter(tasks, function (task) {
+          return task.dateFinished &&
+            !_.contains(['pending', 'running'], task.status);
+        });
+        var hooks = _.groupBy(finished, function (task) {
+          return (task.params || {}).name || '';
+        });
+        var obsolete = [];
+        _.each(hooks, function (hookTasks) {
+          hookTasks = _.sortBy(hookTasks, 'dateFinished').reverse();
+          _.each(hookTasks, function (task, index) {
+            if ((maxAge && (new Date(task.dateFinished) < minDate)) ||
+                (maxPerHook && (index >= maxPerHook))) {
+              obsolete.push(task);
+            }
+          });
+        });
+
+        async.eachSeries(obsolete, function (task, next) {
+          var files = [
+            self.baseFolder + path.sep + 'id' + path.sep + task.id + '.json',
+            self.getLogFile(task.id),
+            self.getPayloadFile(task.id)
+          ];
+          async.eachSeries(files, function (file, next) {
+            fs.unlink(file, function (err) {
+              return next((err && (err.code !== 'ENOENT')) ? err : null);
+            });
+          }, function (err) {
+            if (err) {
+              logger.warn('prune', 'taskId=' + task.id,
+                'could not remove task files', err.toString());
+            }
+            else {
+              removed.push(task.id);
+            }
+            return next();
+          });
+        }, next);
+      }
+    ], function (err) {
+      self.unlock(pruneTask);
+
+      if (err) {
+        logger.error('prune', 'error', err.toString());
+        return callback(err, removed);
+      }
+      logger.log('prune', 'done', 'removed=' + removed.length);
+      return callback(null, removed);
+    });
+  };
+
   return TaskQueue;
 });
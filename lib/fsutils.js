@@ -0,0 +1,89 @@
+/**
+ * @fileOverview Small file system helpers that the standard "fs" module
+ * lacks.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var fs = require('fs');
+  var path = require('path');
+  var async = require('async');
+
+  return {
+    /**
+     * Deletes the given file or folder recursively, without blocking the
+     * event loop.
+     *
+     * Files are deleted one at a time not to run out of file descriptors on
+     * large trees such as "node_modules" folders. The function does not
+     * complain if the file or folder does not exist.
+     *
+     * @function
+     * @param {string} target The file or folder to delete
+     * @param {function} callback Called when the file or folder is gone,
+     *  with an error if it could not be deleted.
+     */
+    removeFolder: function (target, callback) {
+      var self = this;
+      fs.lstat(target, function (err, stats) {
+        if (err) {
+          return callback((err.code === 'ENOENT') ? null : err);
+        }
+        if (!stats.isDirectory()) {
+          return fs.unlink(target, callback);
+        }
+        fs.readdir(target, function (err, files) {
+          if (err) return callback(err);
+          async.eachSeries(files, function (file, next) {
+            self.removeFolder(path.join(target, file), next);
+          }, function (err) {
+            if (err) return callback(err);
+            return fs.rmdir(target, callback);
+          });
+        });
+      });
+    },
+
+
+    /**
+     * Computes the size of the given file or folder, without blocking the
+     * event loop.
+     *
+     * Symbolic links are not followed. Files that disappear in the meantime
+     * are ignored.
+     *
+     * @function
+     * @param {string} target The file or folder to measure
+     * @param {function} callback Called with an error if the size could not
+     *  be computed, and the size in bytes.
+     */
+    getFolderSize: function (target, callback) {
+      var self = this;
+      fs.lstat(target, function (err, stats) {
+        if (err) {
+          return callback((err.code === 'ENOENT') ? null : err, 0);
+        }
+        if (!stats.isDirectory()) return callback(null, stats.size);
+        fs.readdir(target, function (err, files) {
+          if (err) {
+            return callback((err.code === 'ENOENT') ? null : err, 0);
+          }
+          var size = stats.size;
+          async.eachSeries(files, function (file, next) {
+            self.getFolderSize(path.join(target, file), function (err, value) {
+              size += value || 0;
+              return next(err);
+            });
+          }, function (err) {
+            return callback(err, size);
+          });
+        });
+      });
+    }
+  };
+});
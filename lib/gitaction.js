@@ -2,16 +2,54 @@
  * @fileOverview Runs an action that involves cloning a Git repo and running
  * a script present in that repo.
  *
- * The module performs the following actions:
- * 1. it clones the repo to a local folder if not already done
- * 2. it checks out the requested branch, pulls the latest version if needed
- * and run "npm install" if needed.
- * 3. it runs "npm install" in the temp folder to retrieve dependencies
- * 4. it runs the "check" command if defined
- * 5. it runs the "script" command if the "check" command returned "true" or
- * if it was not defined.
+ * The action runs as a pipeline of named steps:
+ * 1. "verify": checks the local clone of the repo, if any, and repairs it
+ * according to the "repair" policy of the action (see repocache.js)
+ * 2. "clone": clones the repo to a local folder if not already done
+ * 3. "fetch": fetches the latest changes from the origin
+ * 4. "checkout": checks out the requested commit as a detached HEAD, the
+ * requested tag, or the requested branch and pulls its latest version. A
+ * branch that diverged from the remote branch is repaired as well.
+ * 5. "install": installs dependencies, running "npm install" by default
+ * (see the "install" property of the action). The step is skipped when the
+ * repo has no "package.json" file, or when neither that file nor the
+ * lockfile changed since the last successful install. A failed install
+ * removes the local clone so that the next run starts from scratch.
+ * 6. "check": runs the "check" command if defined
+ * 7. "script": runs the "script" command if the "check" command exited with
+ * code 42 or if it was not defined.
  *
- * The module does not attempt to lock anything
+ * Each step is recorded in the "steps" list of the context of the task, with
+ * its name, its status ("success", "failure" or "skipped" when there was
+ * nothing to do), its start date, its duration in milliseconds and the exit
+ * code of the last command it ran. The "verify" and "checkout" steps also list
+ * the "repairs" they made to the local clone, if any. When a step fails, the
+ * pipeline stops and the error reports the name of the step in its "step"
+ * property.
+ *
+ * By default, all tasks on a given origin share the same local clone of the
+ * repo. When the "isolation" property of the action is "worktree", the local
+ * clone is a bare mirror of the repo instead, and each task runs in its own
+ * Git worktree, a fresh workspace created by the "checkout" step from the
+ * mirror. The workspace is removed once the task is over, or kept depending
+ * on the "keepWorkspace" property of the action: "failure" (default) keeps
+ * the workspace of failed tasks for debugging, "always" and "never" do what
+ * they say. Updates of a mirror are serialized, but the module does not
+ * attempt to lock anything else
+ *
+ * The output of the commands is sent to the logger. It is also appended to
+ * the log file of the task, prefixed with a timestamp and the name of the
+ * stream, when the context of the task defines one.
+ *
+ * The result of the action reports the SHA of the "commit" that was checked
+ * out, whether the script ran ("updated") and the "workspace" that was kept,
+ * if any.
+ *
+ * Scripts receive the details of the task and of the notification that
+ * triggered it in HOOK_* environment variables. HOOK_WORKSPACE is the folder
+ * in which scripts run. The payload of the
+ * notification is written to the payload file of the task, whose path is
+ * given in HOOK_PAYLOAD_FILE.
  */
 /*global module, __dirname, process*/
 
@@ -22,20 +60,186 @@ if (typeof define !== 'function') {
 
 define(function (require) {
   var spawn = require('child_process').spawn;
+  var crypto = require('crypto');
+  var fs = require('fs');
   var path = require('path');
+  var async = require('async');
+  var mkdirp = require('mkdirp');
   var _ = require('underscore');
   var woodman = require('woodman');
   var ParamError = require('./errors/ParamError');
   var InternalError = require('./errors/InternalError');
+  var fsutils = require('./fsutils');
+  var Mutex = require('./Mutex');
+  var RepoCache = require('./repocache');
 
   var logger = woodman.getLogger('gitaction');
 
-  return function (action, callback) {
+  /**
+   * Path to the npm command used to install dependencies
+   */
+  var npmCommand = path.resolve(__dirname, '..',
+    'node_modules', '.bin', 'npm');
+
+  /**
+   * Exit code of the "check" command that means that the script must run
+   */
+  var UPDATE_NEEDED = 42;
+
+  /**
+   * Files that describe the dependencies of a repository. The install step
+   * only runs when one of them changed since the last successful install.
+   */
+  var dependencyFiles = [
+    'package.json',
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock'
+  ];
+
+  /**
+   * File, relative to the local clone, that records the last successful
+   * install. The file lives in the ".git" folder not to appear in the working
+   * tree.
+   */
+  var INSTALL_STAMP = path.join('.git', 'hookmachine-install.json');
+
+  /**
+   * Known isolation modes and workspace retention policies
+   */
+  var isolationModes = ['shared', 'worktree'];
+  var keepWorkspaceValues = ['failure', 'always', 'never'];
+
+  /**
+   * Mutexes that serialize updates of bare mirrors, indexed by folder
+   */
+  var mirrorLocks = {};
+
+  /**
+   * Counter used to identify owners of mirror locks when the task ID is not
+   * known
+   */
+  var lockCounter = 0;
+
+
+  /**
+   * Returns the command to run to install dependencies.
+   *
+   * Custom commands, "npm ci" included, run with the tools available on
+   * the system. The bundled version of NPM is too old to support "npm ci".
+   *
+   * @function
+   * @private
+   * @param {string} install The "install" property of the action:
+   *  "npm install" (default), "none" or a custom command.
+   * @return {Object} The command to run ("command", "args" and "label"),
+   *  null when dependencies should not be installed.
+   */
+  var getInstallCommand = function (install) {
+    if ((install === false) || (install === 'none')) return null;
+    install = install || 'npm install';
+    if (install === 'npm install') {
+      return {
+        command: npmCommand,
+        args: ['install'],
+        label: install
+      };
+    }
+    return {
+      command: '/bin/sh',
+      args: ['-c', install],
+      label: install
+    };
+  };
+
+
+  /**
+   * Computes a fingerprint of the files that describe the dependencies of
+   * the repository in the given folder.
+   *
+   * @function
+   * @private
+   * @param {string} folder The local clone of the repository
+   * @param {function} callback Called with the fingerprint, null when the
+   *  repository does not have a "package.json" file.
+   */
+  var getDependencyFingerprint = function (folder, callback) {
+    var hash = crypto.createHash('sha1');
+    async.mapSeries(dependencyFiles, function (file, next) {
+      fs.readFile(path.join(folder, file), function (err, data) {
+        if (err && (err.code !== 'ENOENT')) return next(err);
+        return next(null, data || null);
+      });
+    }, function (err, contents) {
+      if (err) return callback(err);
+      if (!contents[0]) return callback(null, null);
+      _.each(contents, function (data, index) {
+        if (!data) return;
+        hash.update(dependencyFiles[index] + '\n');
+        hash.update(data);
+      });
+      return callback(null, hash.digest('hex'));
+    });
+  };
+
+
+  /**
+   * Returns the HOOK_* environment variables that describe the given action
+   * and the notification that triggered it.
+   *
+   * @function
+   * @private
+   * @param {Object} action The action to run
+   * @param {Object} context The context of the task that runs the action
+   * @return {Object} The environment variables
+   */
+  var getHookEnv = function (action, context) {
+    var event = action.event || {};
+    return {
+      HOOK_NAME: action.name || '',
+      HOOK_TASK_ID: context.taskId || '',
+      HOOK_FROM: action.from || '',
+      HOOK_PROVIDER: event.provider || '',
+      HOOK_EVENT: event.event || '',
+      HOOK_REPOSITORY: event.repository || '',
+      HOOK_REF: event.ref || '',
+      HOOK_BEFORE: event.before || '',
+      HOOK_AFTER: event.commit || '',
+      HOOK_PUSHER: event.pusher || ''
+    };
+  };
+
+
+  /**
+   * Runs the given action
+   *
+   * @function
+   * @param {Object} action The action to run (origin, branch, script...)
+   * @param {Object} context The context of the task that runs the action,
+   *  in particular "logFile", the file that the output should be appended to,
+   *  "payloadFile", the file that the payload of the notification should
+   *  be written to, and "steps", the list that steps should be recorded to.
+   *  The function sets the "cancel" property of the context to a function
+   *  that kills the running command. The parameter may be omitted.
+   * @param {function} callback Called when the action is over, with an
+   *  error if the action failed and the result of the action, an object
+   *  with the "commit" that was checked out if known, an "updated" flag
+   *  set when the script ran, and the "workspace" folder of the task when it
+   *  was kept.
+   */
+  return function (action, context, callback) {
+    if (typeof context === 'function') {
+      callback = context;
+      context = null;
+    }
+    context = context || {};
+    context.steps = context.steps || [];
     callback = callback || function () {};
     action.branch = action.branch || 'master';
     logger.info('action received',
       'origin=' + action.origin,
       'branch=' + action.branch,
+      'commit=' + (action.commit || 'latest'),
       'script=' + action.script,
       'check=' + (action.check || 'none'));
 
@@ -48,8 +252,29 @@ define(function (require) {
       logger.warn('Git origin not found');
       return callback(new ParamError('No action script to run'));
     }
+    if (action.commit && !('' + action.commit).match(/^[0-9a-f]{4,40}$/i)) {
+      logger.warn('invalid commit', 'commit=' + action.commit);
+      return callback(new ParamError('Invalid commit SHA'));
+    }
+    if (action.isolation && !_.contains(isolationModes, action.isolation)) {
+      logger.warn('invalid isolation mode', 'isolation=' + action.isolation);
+      return callback(new ParamError(
+        'Unknown isolation mode "' + action.isolation + '"'));
+    }
+    if (action.keepWorkspace &&
+        !_.contains(keepWorkspaceValues, action.keepWorkspace)) {
+      logger.warn('invalid workspace retention policy',
+        'keepWorkspace=' + action.keepWorkspace);
+      return callback(new ParamError(
+        'Unknown workspace retention policy "' + action.keepWorkspace + '"'));
+    }
 
-    var env = _.clone(action.env || {});
+    // Result of the action
+    var result = {
+      updated: false
+    };
+
+    var env = _.extend(getHookEnv(action, context), action.env);
     env.PATH = process.env.PATH;
     if (action.privatekey) {
       env.GIT_SSH = path.resolve(__dirname, '..', action.dataFolder,
@@ -59,99 +284,626 @@ define(function (require) {
       env.GIT_SSH = path.resolve(__dirname, 'ssh-noprompt.sh');
     }
 
-    var script = spawn('lib/gitaction.sh', [
-      action.origin,
-      (action.dataFolder || 'data'),
-      action.branch,
-      action.script,
-      (action.check ? ' ' + action.check : '')
-    ], {
-      cwd: path.resolve(__dirname, '..'),
-      env: env
-    });
+    // Local clone of the repository, a bare mirror in isolation mode, and
+    // folder in which scripts run
+    var dataFolder = path.resolve(__dirname, '..', action.dataFolder || 'data');
+    var isolated = (action.isolation === 'worktree');
+    var mangledOrigin = RepoCache.getFolderName(action.origin);
+    var repoFolder = isolated ?
+      path.join(dataFolder, 'mirrors', mangledOrigin + '.git') :
+      path.join(dataFolder, 'repositories', mangledOrigin);
+    var workFolder = isolated ?
+      path.join(dataFolder, 'workspaces',
+        context.taskId || ('' + Date.now())) :
+      repoFolder;
+    env.HOOK_WORKSPACE = workFolder;
+
+    var logStream = null;
+    var cache = null;
+    try {
+      cache = new RepoCache(repoFolder, {
+        origin: action.origin,
+        policy: action.repair,
+        keep: ['node_modules'].concat(dependencyFiles),
+        bare: isolated,
+        git: function (args, callback) {
+          runCommand('git', args, { quiet: true }, function (err, code, out) {
+            if (!err && (code === null)) {
+              err = new InternalError('git action got killed');
+            }
+            return callback(err, code, out);
+          });
+        }
+      });
+    }
+    catch (err) {
+      logger.warn('invalid repair policy', 'repair=' + action.repair);
+      return callback(err);
+    }
+
+    if (context.logFile) {
+      logStream = fs.createWriteStream(context.logFile, {
+        flags: 'a',
+        encoding: 'utf8'
+      });
+      logStream.on('error', function (err) {
+        logger.error('could not write to log file',
+          'file=' + context.logFile, err.toString());
+        logStream = null;
+      });
+    }
+
+    // Reports a line of output to the logger and to the log file. The type
+    // is the stream that the command wrote the line to, "stdout" or
+    // "stderr", or "hookmachine" for messages of the Hook Machine itself.
+    var writeLine = function (type, line) {
+      line = line.replace(/\s+$/g, '');
+      logger.log(type + ' |', line);
+      if (logStream) {
+        logStream.write((new Date()).toISOString() + ' ' +
+          type + ' | ' + line + '\n');
+      }
+    };
+
+    // Closes the log file before calling the callback, to ensure the log
+    // is complete once the task is over
+    var done = function (err) {
+      if (!logStream) return callback(err, result);
+      var stream = logStream;
+      var end = _.once(function () {
+        return callback(err, result);
+      });
+      logStream = null;
+      stream.on('error', end);
+      stream.end(end);
+    };
+
+    // Writes the payload of the notification to the payload file, if any
+    var writePayload = function (next) {
+      if (!action.payload || !context.payloadFile) return next();
+      fs.writeFile(context.payloadFile,
+        JSON.stringify(action.payload, null, 2),
+        function (err) {
+          if (err) {
+            logger.error('could not write payload file',
+              'file=' + context.payloadFile, err.toString());
+            return next(new InternalError(
+              'Payload file could not be written', err));
+          }
+          env.HOOK_PAYLOAD_FILE = path.resolve(context.payloadFile);
+          return next();
+        });
+    };
+
+    // The command that is running, if any
+    var child = null;
+    var killed = false;
 
-    // Kill the script if it takes too much time
-    var timeout = setTimeout(function () {
-      if (!script) return;
-      script.kill('SIGTERM');
+    // Sends the given signal to the process group of the given command, so
+    // that the processes that the command started get the signal as well
+    // (commands run through "/bin/sh -c").
+    var signal = function (proc, name) {
+      try {
+        process.kill(-proc.pid, name);
+      }
+      catch (err) {
+        try {
+          proc.kill(name);
+        }
+        catch (killErr) {
+          logger.warn('could not kill command', 'pid=' + proc.pid,
+            killErr.toString());
+        }
+      }
+    };
+
+    // Kills the running command, forcing it to exit if it does not exit
+    // gracefully, and prevents next steps from running
+    var kill = function () {
+      killed = true;
+      if (!child) return;
+      var killedChild = child;
+      signal(killedChild, 'SIGTERM');
       setTimeout(function () {
-        if (!script) return;
-        script.kill('SIGKILL');
+        if (child !== killedChild) return;
+        signal(killedChild, 'SIGKILL');
         return;
       }, 10000); // Give 10 seconds to the process to exit
-    }, 1000 * (action.timeout || (60 * 10)));   // 10 minutes by default
-
-    var outFragment = '';
-    var errFragment = '';
-    var log = function (type) {
-      var fragment = (type === 'stdout') ? outFragment : errFragment;
-      return function (data) {
-        var str = fragment + data;
-        var lines = str.split('\n');
-
-        // Save the line if not the end of it
-        if (lines.length === 1) {
+    };
+    context.cancel = kill;
+
+    // Runs the given command in the local clone of the repository, unless
+    // told otherwise, and reports its output unless "quiet" is set. The
+    // callback receives the exit code of the command, null if the command
+    // got killed, and what it wrote to stdout.
+    var runCommand = function (command, args, options, callback) {
+      callback = _.once(callback);
+      if (killed) return callback(null, null, '');
+
+      var output = '';
+      var fragments = {
+        stdout: '',
+        stderr: ''
+      };
+      var log = function (type) {
+        return function (data) {
           if (type === 'stdout') {
-            outFragment = lines[0];
+            output += data;
           }
-          else {
-            errFragment = lines[0];
+          if (options.quiet) return;
+          var lines = (fragments[type] + data).split('\n');
+
+          // Save the end of the last line for later on
+          fragments[type] = lines.pop();
+          _.each(lines, function (line) {
+            writeLine(type, line);
+          });
+        };
+      };
+
+      // The command runs in its own process group so that it can be killed
+      // along with the processes it started
+      var proc = spawn(command, args, {
+        cwd: options.cwd || repoFolder,
+        env: env,
+        detached: true
+      });
+      child = proc;
+
+      var finish = _.once(function (code) {
+        if (child === proc) {
+          child = null;
+        }
+        _.each(fragments, function (fragment, type) {
+          if (fragment) {
+            writeLine(type, fragment);
           }
-          return;
+        });
+        return callback(null, code, output);
+      });
+      proc.stdout.on('data', log('stdout'));
+      proc.stderr.on('data', log('stderr'));
+      proc.on('error', function (err) {
+        if (child === proc) {
+          child = null;
         }
+        return callback(new InternalError(
+          'Command "' + command + '" could not be run', err));
+      });
+      proc.on('close', finish);
+
+      // Processes that the command left running in the background may keep
+      // the output streams open. Do not wait for them once the command has
+      // exited, and not at all when the command got killed.
+      proc.on('exit', function (code) {
+        setTimeout(function () {
+          proc.stdout.destroy();
+          proc.stderr.destroy();
+          finish(code);
+        }, killed ? 0 : 1000);
+      });
+    };
 
-        var i = 0;
-        while (i < lines.length - 1) {
-          logger.log(type + ' |', lines[i].replace(/\s+$/g, ''));
-          i += 1;
+    // Runs the given command as part of the given step and reports an error
+    // if the command fails. The exit code is saved in the step.
+    var exec = function (step, command, args, options, callback) {
+      runCommand(command, args, options, function (err, code, output) {
+        if (err) return callback(err);
+        step.exitCode = code;
+        if (code === null) {
+          return callback(new InternalError('git action got killed'));
         }
-        if (type === 'stdout') {
-          outFragment = lines[i];
+        if (code !== 0) {
+          var error = new InternalError('Command "' +
+            [command].concat(args).join(' ') +
+            '" exited with code ' + code);
+          error.exitCode = code;
+          return callback(error);
         }
-        else {
-          errFragment = lines[i];
+        return callback(null, output);
+      });
+    };
+
+    // Returns a function that runs the given step and records it. The step
+    // function receives the step record, which it may flag as "skipped", and
+    // a callback to call when the step is over.
+    var runStep = function (name, fn) {
+      return function (next) {
+        if (killed) {
+          var error = new InternalError('git action got killed');
+          error.step = name;
+          return next(error);
         }
+
+        var start = Date.now();
+        var step = {
+          name: name,
+          status: 'running',
+          dateStarted: (new Date(start)).toISOString()
+        };
+        context.steps.push(step);
+        writeLine('hookmachine', 'Step ' + name + '...');
+        fn(step, function (err) {
+          step.duration = Date.now() - start;
+          if (err) {
+            step.status = 'failure';
+            err.step = name;
+            writeLine('hookmachine', 'Step ' + name + '... failed, ' +
+              err.message);
+            return next(err);
+          }
+          if (step.status !== 'skipped') {
+            step.status = 'success';
+          }
+          writeLine('hookmachine', 'Step ' + name + '... ' +
+            ((step.status === 'skipped') ? 'skipped' : 'done'));
+          return next();
+        });
       };
     };
 
-    script.stdout.on('data', log('stdout'));
-    script.stderr.on('data', log('stderr'));
-    script.on('close', function (code) {
-      clearTimeout(timeout);
-      script = null;
-      if (outFragment) {
-        logger.log('stdout |', outFragment.replace(/\s+$/g, ''));
-        outFragment = null;
-      }
-      if (errFragment) {
-        logger.log('stderr |', outFragment.replace(/\s+$/g, ''));
-        errFragment = null;
+    // Whether the script needs to run
+    var updateNeeded = true;
+
+    var isTag = !!action.branch.match(/^refs\/tags\//);
+
+    // Whether the workspace of the task was created
+    var workspaceCreated = false;
+
+    // Owner of the lock on the mirror while the task holds it
+    var lockId = null;
+
+    // Takes the lock on the mirror, in isolation mode
+    var lockMirror = function (next) {
+      if (!isolated) return next();
+      var id = (context.taskId || 'action') + '-' + (++lockCounter);
+      mirrorLocks[repoFolder] = mirrorLocks[repoFolder] || new Mutex();
+      mirrorLocks[repoFolder].lock(id, function () {
+        lockId = id;
+        return next();
+      });
+    };
+
+    // Releases the lock on the mirror, if taken
+    var unlockMirror = function (next) {
+      if (lockId) {
+        mirrorLocks[repoFolder].unlock(lockId);
+        lockId = null;
       }
-      if (code === null) {
-        logger.error('git action got killed',
-          'origin=' + action.origin,
-          'branch=' + action.branch,
-          'script=' + action.script,
-          'check=' + (action.check || 'none'));
-        return callback(new InternalError(
-          'git action script got killed', code));
+      if (next) return next();
+    };
+
+    // Removes the workspace once the action is over, unless it must be kept
+    var cleanWorkspace = function (err, next) {
+      unlockMirror();
+      if (!workspaceCreated) return next();
+      var keep = action.keepWorkspace || 'failure';
+      if ((keep === 'always') || (err && (keep === 'failure'))) {
+        result.workspace = workFolder;
+        writeLine('hookmachine', 'Workspace kept in ' + workFolder);
+        return next();
       }
-      if (code !== 0) {
-        logger.error('could not run git action',
-          'origin=' + action.origin,
-          'branch=' + action.branch,
-          'script=' + action.script,
-          'check=' + (action.check || 'none'),
-          'exit code=' + code);
-        return callback(new InternalError(
-          'git action script reported an error', code));
+      fsutils.removeFolder(workFolder, function (removeErr) {
+        if (removeErr) {
+          logger.error('could not remove workspace',
+            'folder=' + workFolder, removeErr.toString());
+        }
+        runCommand('git', ['worktree', 'prune'], { quiet: true },
+          function () {
+            return next();
+          });
+      });
+    };
+
+    // Records the repairs made to the local clone in the given step
+    var recordRepairs = function (step, repairs) {
+      if (!repairs || (repairs.length === 0)) return;
+      step.repairs = (step.repairs || []).concat(repairs);
+      _.each(repairs, function (repair) {
+        writeLine('hookmachine', 'Local clone: ' + repair.problem + ', ' +
+          ((repair.action === 'none') ? 'left as is' : repair.action));
+      });
+    };
+
+    var steps = [
+      lockMirror,
+
+      runStep('verify', function (step, next) {
+        fs.stat(repoFolder, function (err) {
+          if (err) {
+            step.status = 'skipped';
+            return next();
+          }
+          cache.verify(function (err, repairs) {
+            recordRepairs(step, repairs);
+            if (err) return next(err);
+
+            // Removed untracked files may include installed dependencies
+            // that the install step did not put in "node_modules"
+            if (!_.findWhere(repairs, { action: 'clean' })) return next();
+            fs.unlink(path.join(repoFolder, INSTALL_STAMP), function () {
+              return next();
+            });
+          });
+        });
+      }),
+
+      runStep('clone', function (step, next) {
+        fs.stat(repoFolder, function (err) {
+          if (!err) {
+            step.status = 'skipped';
+            return next();
+          }
+          var parentFolder = path.dirname(repoFolder);
+          mkdirp(parentFolder, function (err) {
+            if (err) {
+              return next(new InternalError(
+                'Path "' + parentFolder + '" could not be created',
+                err));
+            }
+            if (!isolated) {
+              return exec(step, 'git', ['clone', action.origin, repoFolder], {
+                cwd: parentFolder
+              }, next);
+            }
+
+            // Mirrors keep remote branches as remote-tracking branches, so
+            // that local branches that scripts may create do not get in the
+            // way of fetches
+            exec(step, 'git', ['clone', '--bare', action.origin, repoFolder], {
+              cwd: parentFolder
+            }, function (err) {
+              if (err) return next(err);
+              exec(step, 'git', [
+                'config', 'remote.origin.fetch',
+                '+refs/heads/*:refs/remotes/origin/*'
+              ], {}, next);
+            });
+          });
+        });
+      }),
+
+      runStep('fetch', function (step, next) {
+        exec(step, 'git', ['fetch', 'origin'], {}, function (err) {
+          if (err) return next(err);
+          if (!action.commit && !isTag) return next();
+          exec(step, 'git', ['fetch', 'origin', '+refs/tags/*:refs/tags/*'],
+            {}, next);
+        });
+      }),
+
+      runStep('checkout', function (step, next) {
+        // Pulls the latest version of the branch if needed
+        var pull = function (next) {
+          exec(step, 'git', [
+            'log', 'HEAD..origin/' + action.branch, '--oneline'
+          ], { quiet: true }, function (err, output) {
+            if (err) return next(err);
+            if (!output.trim()) return next();
+            exec(step, 'git', ['pull'], {}, function (err) {
+              return next(err);
+            });
+          });
+        };
+
+        // Creates a new worktree from the mirror, replacing the workspace
+        // that a previous attempt of the task may have kept
+        var addWorktree = function (next) {
+          var revision = action.commit || (isTag ? action.branch :
+            'refs/remotes/origin/' + action.branch);
+          async.series([
+            function (next) {
+              fsutils.removeFolder(workFolder, next);
+            },
+            function (next) {
+              exec(step, 'git', ['worktree', 'prune'], {}, next);
+            },
+            function (next) {
+              mkdirp(path.dirname(workFolder), next);
+            },
+            function (next) {
+              workspaceCreated = true;
+              exec(step, 'git',
+                ['worktree', 'add', '--detach', workFolder, revision], {},
+                next);
+            }
+          ], function (err) {
+            return next(err);
+          });
+        };
+
+        async.waterfall([
+          function (next) {
+            if (isolated) return addWorktree(next);
+            if (action.commit) {
+              return exec(step, 'git',
+                ['checkout', '-q', '--detach', action.commit], {},
+                function (err) {
+                  return next(err);
+                });
+            }
+            if (isTag) {
+              return exec(step, 'git', ['checkout', '-q', action.branch], {},
+                function (err) {
+                  return next(err);
+                });
+            }
+            exec(step, 'git', ['checkout', action.branch], {},
+              function (err) {
+                if (err) return next(err);
+                cache.syncBranch(action.branch, function (err, repairs) {
+                  recordRepairs(step, repairs);
+                  if (err) return next(err);
+                  if (_.findWhere(repairs, { action: 'reset' })) return next();
+                  pull(next);
+                });
+              });
+          },
+          function (next) {
+            exec(step, 'git', ['rev-parse', 'HEAD'], {
+              cwd: workFolder,
+              quiet: true
+            }, next);
+          }
+        ], function (err, output) {
+          if (err) return next(err);
+          result.commit = output.trim();
+          env.HOOK_COMMIT = result.commit;
+          writeLine('hookmachine', 'Checked out commit ' + result.commit);
+          return next();
+        });
+      }),
+
+      unlockMirror,
+
+      runStep('install', function (step, next) {
+        var install = getInstallCommand(action.install);
+        if (!install) {
+          step.status = 'skipped';
+          return next();
+        }
+
+        // Workspaces are new for each task and do not need any stamp
+        var stampFile = isolated ? null : path.join(repoFolder, INSTALL_STAMP);
+        var fingerprint = null;
+        async.waterfall([
+          function (next) {
+            getDependencyFingerprint(workFolder, next);
+          },
+          function (value, next) {
+            fingerprint = value;
+            if (!fingerprint) {
+              writeLine('hookmachine',
+                'No package.json file, nothing to install');
+              step.status = 'skipped';
+              return next();
+            }
+            if (!stampFile) return next();
+            fs.readFile(stampFile, 'utf8', function (err, data) {
+              var stamp = {};
+              try {
+                stamp = err ? {} : JSON.parse(data);
+              }
+              catch (parseErr) {
+                stamp = {};
+              }
+              if ((stamp.fingerprint === fingerprint) &&
+                  (stamp.command === install.label)) {
+                writeLine('hookmachine', 'Dependencies did not change');
+                step.status = 'skipped';
+              }
+              return next();
+            });
+          },
+          function (next) {
+            if (step.status === 'skipped') return next();
+            exec(step, install.command, install.args, {
+              cwd: workFolder
+            }, function (err) {
+              if (err && isolated) return next(err);
+              if (err) {
+                // Remove the local clone so that the next run starts clean
+                writeLine('hookmachine',
+                  'Remove local clone of the repository');
+                return fsutils.removeFolder(repoFolder, function (removeErr) {
+                  if (removeErr) {
+                    logger.error('could not remove local clone',
+                      'folder=' + repoFolder, removeErr.toString());
+                  }
+                  return next(err);
+                });
+              }
+
+              // Install may have created or updated the lockfile
+              if (!stampFile) return next();
+              getDependencyFingerprint(repoFolder, function (err, value) {
+                if (err) return next(err);
+                fs.writeFile(stampFile, JSON.stringify({
+                  command: install.label,
+                  fingerprint: value,
+                  commit: result.commit,
+                  date: (new Date()).toISOString()
+                }, null, 2), function (err) {
+                  if (err) {
+                    logger.warn('could not save install stamp',
+                      'file=' + stampFile, err.toString());
+                  }
+                  return next();
+                });
+              });
+            });
+          }
+        ], function (err) {
+          return next(err);
+        });
+      }),
+
+      runStep('check', function (step, next) {
+        if (!action.check) {
+          step.status = 'skipped';
+          return next();
+        }
+        runCommand('/bin/sh', ['-c', action.check], { cwd: workFolder },
+          function (err, code) {
+            if (err) return next(err);
+            step.exitCode = code;
+            if (code === null) {
+              return next(new InternalError('git action got killed'));
+            }
+            updateNeeded = (code === UPDATE_NEEDED);
+            writeLine('hookmachine', updateNeeded ?
+              'Update needed' : 'No update needed');
+            return next();
+          });
+      }),
+
+      runStep('script', function (step, next) {
+        if (!updateNeeded) {
+          step.status = 'skipped';
+          return next();
+        }
+        exec(step, '/bin/sh', ['-c', action.script], {
+          cwd: workFolder
+        }, function (err) {
+          if (err) return next(err);
+          result.updated = true;
+          return next();
+        });
+      })
+    ];
+
+    // Kill the action if it takes too much time
+    var timeout = setTimeout(kill,
+      1000 * (action.timeout || (60 * 10)));   // 10 minutes by default
+
+    writePayload(function (err) {
+      if (err) {
+        clearTimeout(timeout);
+        return done(err);
       }
-      logger.log('run action', 'done',
-        'origin=' + action.origin,
-        'branch=' + action.branch,
-        'script=' + action.script,
-        'check=' + (action.check || 'none'));
-      return callback();
+
+      async.series(steps, function (err) {
+        clearTimeout(timeout);
+        cleanWorkspace(err, function () {
+          if (err) {
+            logger.error('could not run git action',
+              'origin=' + action.origin,
+              'branch=' + action.branch,
+              'script=' + action.script,
+              'check=' + (action.check || 'none'),
+              'step=' + err.step,
+              err.toString());
+            return done(err);
+          }
+          logger.log('run action', 'done',
+            'origin=' + action.origin,
+            'branch=' + action.branch,
+            'commit=' + result.commit,
+            'script=' + action.script,
+            'check=' + (action.check || 'none'));
+          return done();
+        });
+      });
     });
   };
 });
@@ -0,0 +1,386 @@
+/**
+ * @fileOverview Background housekeeping of the data folder.
+ *
+ * When it starts, the housekeeper deletes the former "repositories" folders
+ * that the server parks at startup, and the contents of the "trash" folder.
+ * It then runs at regular intervals to:
+ * - prune the records, logs and payloads of finished tasks that are older
+ * than a given number of days, or beyond a given number of tasks per hook.
+ * The workspaces that pruned tasks may have kept are deleted as well.
+ * - evict the least recently used local clones, mirrors and workspaces when
+ * the data folder goes over a size budget. Clones, mirrors and workspaces
+ * that running tasks use are never evicted.
+ *
+ * Evicted folders are first moved to the "trash" folder, so that a task that
+ * starts in the meantime clones the repository again instead of running in
+ * a folder that is being deleted.
+ *
+ * All deletions are asynchronous, so that housekeeping never delays the
+ * processing of incoming requests.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var fs = require('fs');
+  var path = require('path');
+  var async = require('async');
+  var _ = require('underscore');
+  var woodman = require('woodman');
+  var fsutils = require('./fsutils');
+  var RepoCache = require('./repocache');
+
+  var logger = woodman.getLogger('housekeeping');
+
+
+  /**
+   * Creates a housekeeper for the given data folder.
+   *
+   * @class
+   * @param {Object} options Housekeeping options:
+   *  - dataFolder: the data folder
+   *  - taskqueue: the task queue whose tasks should be pruned
+   *  - interval: the number of seconds between two runs, 3600 by default
+   *  - maxTaskAge: the maximum number of days to keep finished tasks
+   *  - maxTasksPerHook: the maximum number of finished tasks to keep per hook
+   *  - maxDataSize: the size budget of the data folder, in megabytes
+   *  Limits that are not set or set to 0 are not enforced.
+   */
+  var Housekeeper = function (options) {
+    /**
+     * Housekeeping options
+     */
+    this.options = options || {};
+    this.options.interval = parseInt(this.options.interval || 3600, 10);
+
+    /**
+     * The timer set for the next run
+     */
+    this.timer = null;
+
+    /**
+     * Run in progress
+     */
+    this.running = false;
+
+    /**
+     * Whether the housekeeper has started
+     */
+    this.started = false;
+  };
+
+
+  /**
+   * Starts the housekeeper, deleting former "repositories" folders and the
+   * contents of the trash first.
+   *
+   * @function
+   * @param {function} callback Called when the first run is over
+   */
+  Housekeeper.prototype.start = function (callback) {
+    callback = callback || function () {};
+
+    var self = this;
+    this.started = true;
+    this.emptyTrash(function () {
+      self.run(function () {
+        self.schedule();
+        return callback();
+      });
+    });
+  };
+
+
+  /**
+   * Stops the housekeeper
+   *
+   * @function
+   */
+  Housekeeper.prototype.stop = function () {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  };
+
+
+  /**
+   * Updates the housekeeping limits and interval, e.g. when the
+   * configuration is reloaded. The next run is scheduled again from now.
+   *
+   * @function
+   * @param {Object} options The options to update (see constructor)
+   */
+  Housekeeper.prototype.reload = function (options) {
+    _.extend(this.options, options);
+    this.options.interval = parseInt(this.options.interval || 3600, 10);
+    if (this.started && !this.running) {
+      this.schedule();
+    }
+  };
+
+
+  /**
+   * Schedules the next run
+   *
+   * @function
+   * @private
+   */
+  Housekeeper.prototype.schedule = function () {
+    this.stop();
+    if (!(this.options.interval > 0)) return;
+
+    var self = this;
+    this.timer = setTimeout(function () {
+      self.timer = null;
+      self.run(function () {
+        self.schedule();
+      });
+    }, this.options.interval * 1000);
+  };
+
+
+  /**
+   * Runs housekeeping once, unless a run is already in progress
+   *
+   * @function
+   * @param {function} callback Called when the run is over, with a summary
+   *  of the run: the IDs of the "prunedTasks" and the "evicted" folders.
+   */
+  Housekeeper.prototype.run = function (callback) {
+    callback = callback || function () {};
+    if (this.running) {
+      return callback(null, { prunedTasks: [], evicted: [] });
+    }
+
+    var self = this;
+    var summary = {};
+    this.running = true;
+    logger.log('run housekeeping...');
+    async.series([
+      function (next) {
+        self.pruneTasks(function (err, taskIds) {
+          summary.prunedTasks = taskIds || [];
+          return next(err);
+        });
+      },
+      function (next) {
+        self.evictFolders(function (err, folders) {
+          summary.evicted = folders || [];
+          return next(err);
+        });
+      }
+    ], function (err) {
+      self.running = false;
+      if (err) {
+        logger.error('run housekeeping... an error occurred', err.toString());
+      }
+      else {
+        logger.log('run housekeeping... done',
+          'prunedTasks=' + summary.prunedTasks.length,
+          'evicted=' + summary.evicted.length);
+      }
+      return callback(err, summary);
+    });
+  };
+
+
+  /**
+   * Deletes former "repositories" folders and the contents of the trash
+   *
+   * @function
+   * @private
+   * @param {function} callback Called when folders have been deleted
+   */
+  Housekeeper.prototype.emptyTrash = function (callback) {
+    var dataFolder = this.options.dataFolder;
+    var trashFolder = path.join(dataFolder, 'trash');
+    fs.readdir(dataFolder, function (err, files) {
+      files = _.filter(files || [], function (file) {
+        return file.match(/^repositories-bak/);
+      });
+      files.push('trash');
+      async.eachSeries(files, function (file, next) {
+        logger.log('delete folder', 'folder=' + file);
+        fsutils.removeFolder(path.join(dataFolder, file), function (err) {
+          if (err) {
+            logger.error('could not delete folder',
+              'folder=' + file, err.toString());
+          }
+          return next();
+        });
+      }, function () {
+        fs.mkdir(trashFolder, function () {
+          return callback();
+        });
+      });
+    });
+  };
+
+
+  /**
+   * Prunes finished tasks and deletes the workspaces they may have kept
+   *
+   * @function
+   * @private
+   * @param {function} callback Called with the IDs of the pruned tasks
+   */
+  Housekeeper.prototype.pruneTasks = function (callback) {
+    var options = this.options;
+    if (!options.taskqueue ||
+        !(options.maxTaskAge || options.maxTasksPerHook)) {
+      return callback(null, []);
+    }
+
+    options.taskqueue.prune({
+      maxAge: options.maxTaskAge,
+      maxPerHook: options.maxTasksPerHook
+    }, function (err, taskIds) {
+      taskIds = taskIds || [];
+      async.eachSeries(taskIds, function (taskId, next) {
+        fsutils.removeFolder(
+          path.join(options.dataFolder, 'workspaces', taskId),
+          function () {
+            return next();
+          });
+      }, function () {
+        return callback(err, taskIds);
+      });
+    });
+  };
+
+
+  /**
+   * Returns the local clones, mirrors and workspaces that tasks may reuse,
+   * along with the date they were last used.
+   *
+   * Clones and mirrors were last used when they were last fetched.
+   *
+   * @function
+   * @private
+   * @param {function} callback Called with the list of folders, each with
+   *  its "folder" path, its "type" ("repositories", "mirrors" or
+   *  "workspaces"), its "name" and its "lastUsed" date.
+   */
+  Housekeeper.prototype.listFolders = function (callback) {
+    var dataFolder = this.options.dataFolder;
+    var types = ['repositories', 'mirrors', 'workspaces'];
+    async.mapSeries(types, function (type, next) {
+      fs.readdir(path.join(dataFolder, type), function (err, names) {
+        async.mapSeries(names || [], function (name, next) {
+          var folder = path.join(dataFolder, type, name);
+          var fetchHead = {
+            repositories: path.join(folder, '.git', 'FETCH_HEAD'),
+            mirrors: path.join(folder, 'FETCH_HEAD'),
+            workspaces: folder
+          }[type];
+          fs.stat(fetchHead, function (err, stats) {
+            var done = function (err, stats) {
+              if (err) return next();
+              return next(null, {
+                folder: folder,
+                type: type,
+                name: name,
+                lastUsed: stats.mtime
+              });
+            };
+            if (err) return fs.stat(folder, done);
+            return done(null, stats);
+          });
+        }, next);
+      });
+    }, function (err, folders) {
+      return callback(null, _.compact(_.flatten(folders)));
+    });
+  };
+
+
+  /**
+   * Returns true when a running task uses the given folder
+   *
+   * @function
+   * @private
+   * @param {Object} entry The folder, as returned by listFolders
+   * @return {boolean} true when the folder is in use
+   */
+  Housekeeper.prototype.isInUse = function (entry) {
+    var taskqueue = this.options.taskqueue;
+    var runningTasks = (taskqueue && taskqueue.runningTasks) || [];
+    return _.some(runningTasks, function (task) {
+      var params = task.params || {};
+      var name = params.origin ? RepoCache.getFolderName(params.origin) : '';
+      if (entry.type === 'repositories') return entry.name === name;
+      if (entry.type === 'mirrors') return entry.name === name + '.git';
+      return entry.name === task.id;
+    });
+  };
+
+
+  /**
+   * Evicts the least recently used folders until the data folder fits in
+   * the size budget
+   *
+   * @function
+   * @private
+   * @param {function} callback Called with the list of evicted folders
+   */
+  Housekeeper.prototype.evictFolders = function (callback) {
+    var self = this;
+    var maxSize = parseFloat(this.options.maxDataSize || 0) * 1024 * 1024;
+    if (!maxSize) return callback(null, []);
+
+    var dataFolder = this.options.dataFolder;
+    var evicted = [];
+    fsutils.getFolderSize(dataFolder, function (err, size) {
+      if (err) return callback(err, evicted);
+      if (size <= maxSize) return callback(null, evicted);
+      logger.info('data folder over budget',
+        'size=' + size, 'budget=' + maxSize);
+
+      self.listFolders(function (err, folders) {
+        folders = _.sortBy(folders, function (entry) {
+          return entry.lastUsed.getTime();
+        });
+        async.eachSeries(folders, function (entry, next) {
+          if (size <= maxSize) return next();
+          fsutils.getFolderSize(entry.folder, function (err, folderSize) {
+            if (err || self.isInUse(entry)) return next();
+            var trashed = path.join(dataFolder, 'trash',
+              entry.type + '-' + entry.name + '-' + Date.now());
+            fs.rename(entry.folder, trashed, function (err) {
+              if (err) {
+                logger.warn('could not evict folder',
+                  'folder=' + entry.folder, err.toString());
+                return next();
+              }
+              logger.info('evict folder', 'folder=' + entry.folder,
+                'lastUsed=' + entry.lastUsed.toISOString(),
+                'size=' + folderSize);
+              evicted.push(entry.folder);
+              size -= folderSize;
+              fsutils.removeFolder(trashed, function (err) {
+                if (err) {
+                  logger.error('could not delete evicted folder',
+                    'folder=' + trashed, err.toString());
+                }
+                return next();
+              });
+            });
+          });
+        }, function () {
+          if (size > maxSize) {
+            logger.warn('data folder still over budget',
+              'size=' + size, 'budget=' + maxSize);
+          }
+          return callback(null, evicted);
+        });
+      });
+    });
+  };
+
+  return Housekeeper;
+});
@@ -0,0 +1,478 @@
+/**
+ * @fileOverview Small HTTP API that exposes the task queue over HTTP.
+ *
+ * The API does not run its own HTTP server. It is meant to be plugged in
+ * front of another request handler (the GitHub hooks listener in practice):
+ * requests whose path matches one of the API routes are processed by the API,
+ * other requests should be passed on to the next handler.
+ *
+ * Responses are JSON objects. Errors follow the format used by the GitHub
+ * hooks listener, i.e. an object with a "result" property set to "error" and
+ * a "message" property that describes the error.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var fs = require('fs');
+  var url = require('url');
+  var _ = require('underscore');
+  var woodman = require('woodman');
+  var ParamError = require('./errors/ParamError');
+  var ProxyError = require('./errors/ProxyError');
+  var httputils = require('./httputils');
+
+  var logger = woodman.getLogger('httpapi');
+
+
+  /**
+   * Creates the HTTP API on top of the given task queue.
+   *
+   * @class
+   * @param {TaskQueue} taskqueue The task queue to expose
+   * @param {Object} options API options:
+   *  - followInterval: interval in milliseconds between two checks of a log
+   *  file that is being followed (1 second by default)
+   *  - token: the token that requests that change things must provide in
+   *  their "Authorization" header. These requests are rejected when not set.
+   *  Requests that read tasks or their logs must also provide the token
+   *  when it is set.
+   *  - runHook: function that queues a run of the hook whose name it receives
+   *  and calls its callback with the ID of the task that will run, null when
+   *  the hook is unknown.
+   *  - getSchedules: function that returns the state of periodic hooks.
+   */
+  var HttpApi = function (taskqueue, options) {
+    /**
+     * The task queue exposed by the API
+     */
+    this.taskqueue = taskqueue;
+
+    /**
+     * API options
+     */
+    this.options = options || {};
+    this.options.followInterval = this.options.followInterval || 1000;
+
+    /**
+     * The list of routes the API handles. Each route is an object with
+     * a "method", a "pattern" regular expression that the path of the URL
+     * must match and the "handler" function to call.
+     */
+    this.routes = [];
+
+    this.route('GET', /^\/tasks\/?$/, this.listTasks);
+    this.route('GET', /^\/tasks\/([\w\-]+)$/, this.getTask);
+    this.route('DELETE', /^\/tasks\/([\w\-]+)$/, this.cancelTask);
+    this.route('GET', /^\/tasks\/([\w\-]+)\/log$/, this.getTaskLog);
+    this.route('POST', /^\/hooks\/([^\/]+)\/run$/, this.runHook);
+    this.route('GET', /^\/schedules\/?$/, this.getSchedules);
+  };
+
+
+  /**
+   * Registers a new route.
+   *
+   * The handler is called with the request, the response, the list of
+   * groups captured by the pattern and the parsed query string.
+   *
+   * @function
+   * @param {string} method HTTP method (GET, POST, DELETE...)
+   * @param {RegExp} pattern Regular expression that the path must match
+   * @param {function} handler Function to call to process the request
+   */
+  HttpApi.prototype.route = function (method, pattern, handler) {
+    this.routes.push({
+      method: method,
+      pattern: pattern,
+      handler: handler
+    });
+  };
+
+
+  /**
+   * Processes the given HTTP request if it targets one of the API routes.
+   *
+   * @function
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {http.ServerResponse} res The HTTP response
+   * @return {boolean} true if the request was processed by the API, false
+   *  if it should be processed by some other handler.
+   */
+  HttpApi.prototype.handle = function (req, res) {
+    var parsedUrl = url.parse(req.url, true);
+    var routes = _.filter(this.routes, function (route) {
+      return route.pattern.test(parsedUrl.pathname);
+    });
+    if (routes.length === 0) return false;
+
+    logger.log(req.method, parsedUrl.pathname);
+    var route = _.find(routes, function (route) {
+      return route.method === req.method;
+    });
+    if (!route) {
+      this.sendStatus(res, 405);
+      return true;
+    }
+
+    var params = route.pattern.exec(parsedUrl.pathname).slice(1);
+    route.handler.call(this, req, res, params, parsedUrl.query);
+    return true;
+  };
+
+
+  /**
+   * Sends the given object as JSON
+   *
+   * @function
+   * @param {http.ServerResponse} res The HTTP response
+   * @param {Number} statusCode The HTTP status code to send
+   * @param {Object} obj The object to serialize
+   */
+  HttpApi.prototype.sendJSON = function (res, statusCode, obj) {
+    httputils.sendJSON(res, statusCode, obj);
+  };
+
+
+  /**
+   * Sends a response that only contains the given status code, using the
+   * same format as the GitHub hooks listener.
+   *
+   * @function
+   * @param {http.ServerResponse} res The HTTP response
+   * @param {Number} statusCode The HTTP status code to send
+   * @param {string} message Message to send, the status text by default
+   */
+  HttpApi.prototype.sendStatus = function (res, statusCode, message) {
+    httputils.sendStatus(res, statusCode, message);
+  };
+
+
+  /**
+   * Sends the given error, using the same status codes as the task queue.
+   *
+   * Only the public message of the error is sent.
+   *
+   * @function
+   * @param {http.ServerResponse} res The HTTP response
+   * @param {Error} err The error to report
+   */
+  HttpApi.prototype.sendError = function (res, err) {
+    if (err instanceof ParamError) {
+      return this.sendStatus(res, 400, err.message);
+    }
+    else if (err instanceof ProxyError) {
+      return this.sendStatus(res, 503, err.message);
+    }
+    logger.error('internal error', err.toString());
+    return this.sendStatus(res, 500);
+  };
+
+
+  /**
+   * Reads the body of the given request and parses it as JSON.
+   *
+   * An empty body is parsed as an empty object.
+   *
+   * @function
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {function} callback Called with the parsed object
+   */
+  HttpApi.prototype.readJSON = function (req, callback) {
+    httputils.readBody(req, function (err, body) {
+      if (err) return callback(err);
+      body = body.toString();
+      if (!body.match(/\S/)) return callback(null, {});
+      try {
+        body = JSON.parse(body);
+      }
+      catch (parseErr) {
+        return callback(new ParamError('Request body is not valid JSON'));
+      }
+      if (!_.isObject(body) || _.isArray(body)) {
+        return callback(new ParamError('Request body must be a JSON object'));
+      }
+      return callback(null, body);
+    });
+  };
+
+
+  /**
+   * Checks the "Authorization" header of the given request against the token
+   * of the API. Sends an error response when the check fails.
+   *
+   * @function
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {http.ServerResponse} res The HTTP response
+   * @return {boolean} true when the request is authorized
+   */
+  HttpApi.prototype.checkAuthorization = function (req, res) {
+    if (!this.options.token) {
+      logger.warn('rejected request, no API token configured');
+      this.sendStatus(res, 403, 'API token not configured');
+      return false;
+    }
+
+    if (!httputils.safeEqual(req.headers.authorization,
+        'Bearer ' + this.options.token)) {
+      logger.warn('rejected request, invalid API token');
+      this.sendStatus(res, 401);
+      return false;
+    }
+    return true;
+  };
+
+
+  /**
+   * Returns the public version of the given task.
+   *
+   * The environment variables are removed from the task parameters as they
+   * may contain sensitive information. So is the payload of the notification
+   * that triggered the task, which may be large.
+   *
+   * @function
+   * @private
+   * @param {Object} task The task to serialize
+   * @return {Object} The copy of the task that may be sent
+   */
+  HttpApi.prototype.getPublicTask = function (task) {
+    var publicTask = _.clone(task);
+    if (task.params) {
+      publicTask.params = _.omit(task.params, 'env', 'payload');
+    }
+    return publicTask;
+  };
+
+
+  /**
+   * Handler for "GET /tasks/:id", sends the task with the given ID
+   *
+   * Tasks may contain sensitive information, e.g. credentials in the origin
+   * URL. The request must carry the API token when one is configured.
+   *
+   * @function
+   * @private
+   */
+  HttpApi.prototype.getTask = function (req, res, params) {
+    if (this.options.token && !this.checkAuthorization(req, res)) return;
+
+    var self = this;
+    this.taskqueue.get(params[0], function (err, task) {
+      if (err) return self.sendError(res, err);
+      if (!task) return self.sendStatus(res, 404);
+      return self.sendJSON(res, 200, self.getPublicTask(task));
+    });
+  };
+
+
+  /**
+   * Handler for "DELETE /tasks/:id", cancels the task with the given ID.
+   *
+   * The response is the updated task, with a 200 status code when the task
+   * is cancelled, 202 when the task is running and is being stopped. The
+   * request fails with a 409 status code when the task is already over.
+   *
+   * @function
+   * @private
+   */
+  HttpApi.prototype.cancelTask = function (req, res, params) {
+    var self = this;
+    if (!this.checkAuthorization(req, res)) return;
+
+    this.taskqueue.cancel(params[0], function (err, task) {
+      if (err) return self.sendError(res, err);
+      if (!task) return self.sendStatus(res, 404);
+      if (task.status === 'cancelled') {
+        return self.sendJSON(res, 200, self.getPublicTask(task));
+      }
+      if (task.status === 'running') {
+        return self.sendJSON(res, 202, self.getPublicTask(task));
+      }
+      return self.sendStatus(res, 409, 'task is already over');
+    });
+  };
+
+
+  /**
+   * Handler for "GET /tasks", sends the list of tasks that match the
+   * filters set in the query string (see TaskQueue.list for details)
+   *
+   * As for "GET /tasks/:id", the request must carry the API token when one
+   * is configured.
+   *
+   * @function
+   * @private
+   */
+  HttpApi.prototype.listTasks = function (req, res, params, query) {
+    if (this.options.token && !this.checkAuthorization(req, res)) return;
+
+    var self = this;
+    this.taskqueue.list(query, function (err, list) {
+      if (err) return self.sendError(res, err);
+      return self.sendJSON(res, 200, {
+        total: list.total,
+        tasks: _.map(list.tasks, self.getPublicTask, self)
+      });
+    });
+  };
+
+
+
+  /**
+   * Handler for "GET /tasks/:id/log", sends the output of the task with the
+   * given ID as plain text.
+   *
+   * When the "follow" query string parameter is set, the response is kept
+   * open and new lines are sent as they get written to the log file, until
+   * the task is over.
+   *
+   * Logs may contain sensitive information. The request must carry the API
+   * token when one is configured.
+   *
+   * @function
+   * @private
+   */
+  HttpApi.prototype.getTaskLog = function (req, res, params, query) {
+    if (this.options.token && !this.checkAuthorization(req, res)) return;
+
+    var self = this;
+    var taskId = params[0];
+    var logFile = this.taskqueue.getLogFile(taskId);
+    var follow = !!query.follow && (query.follow !== '0');
+    var position = 0;
+    var closed = false;
+
+    req.on('close', function () {
+      closed = true;
+    });
+
+    // Sends the contents of the log file written since the last call
+    var sendNewLines = function (callback) {
+      fs.stat(logFile, function (err, stats) {
+        if (err || (stats.size <= position)) return callback();
+        var stream = fs.createReadStream(logFile, {
+          start: position,
+          end: stats.size - 1
+        });
+        position = stats.size;
+        stream.on('error', function (err) {
+          logger.warn('could not read log file',
+            'taskId=' + taskId, err.toString());
+          return callback();
+        });
+        stream.on('end', function () {
+          return callback();
+        });
+        stream.pipe(res, { end: false });
+      });
+    };
+
+    // Sends new lines until the task is over. The status of the task is
+    // retrieved before the log file is read not to miss the last lines.
+    var followLog = function () {
+      if (closed) return;
+      self.taskqueue.get(taskId, function (err, task) {
+        var over = err || !task ||
+          ((task.status !== 'pending') && (task.status !== 'running'));
+        sendNewLines(function () {
+          if (over) return res.end();
+          setTimeout(followLog, self.options.followInterval);
+        });
+      });
+    };
+
+    this.taskqueue.get(taskId, function (err, task) {
+      if (err) return self.sendError(res, err);
+      if (!task) return self.sendStatus(res, 404);
+
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; charset=utf-8'
+      });
+      if (follow) return followLog();
+      sendNewLines(function () {
+        res.end();
+      });
+    });
+  };
+
+
+
+  /**
+   * Handler for "POST /hooks/:name/run", queues a run of the hook with the
+   * given name.
+   *
+   * The body of the request may be a JSON object that overrides the
+   * "branch" to checkout and sets additional "env" variables.
+   *
+   * @function
+   * @private
+   */
+  HttpApi.prototype.runHook = function (req, res, params) {
+    var self = this;
+    if (!this.checkAuthorization(req, res)) return;
+    var name = httputils.decodeSegment(params[0]);
+    if (name === null) {
+      return this.sendError(res, new ParamError('Invalid hook name'));
+    }
+
+    this.readJSON(req, function (err, body) {
+      if (err) return self.sendError(res, err);
+
+      if (body.branch && (!_.isString(body.branch) ||
+          !body.branch.match(/^[\w\.\/][\w\.\/\-]*$/))) {
+        return self.sendError(res, new ParamError('Invalid branch'));
+      }
+      if (body.commit && (!_.isString(body.commit) ||
+          !body.commit.match(/^[0-9a-f]{4,40}$/i))) {
+        return self.sendError(res, new ParamError('Invalid commit'));
+      }
+      if (body.env && (!_.isObject(body.env) || _.isArray(body.env) ||
+          !_.every(body.env, _.isString))) {
+        return self.sendError(res, new ParamError(
+          'Environment variables must be an object of strings'));
+      }
+
+      if (!self.options.runHook) {
+        return self.sendStatus(res, 404, 'hook not found');
+      }
+      self.options.runHook(name, {
+        branch: body.branch,
+        commit: body.commit,
+        env: body.env
+      }, function (err, taskId) {
+        if (err) return self.sendError(res, err);
+        if (!taskId) return self.sendStatus(res, 404, 'hook not found');
+
+        return self.sendJSON(res, 202, {
+          message: 'accepted',
+          result: 'ok',
+          tasks: [taskId]
+        });
+      });
+    });
+  };
+
+
+
+  /**
+   * Handler for "GET /schedules", sends the state of periodic hooks: last
+   * and next run dates, number of runs per outcome and history of latest
+   * runs.
+   *
+   * @function
+   * @private
+   */
+  HttpApi.prototype.getSchedules = function (req, res) {
+    var schedules = this.options.getSchedules ?
+      this.options.getSchedules() : {};
+    return this.sendJSON(res, 200, _.map(schedules, function (state, name) {
+      return _.extend({ name: name }, _.omit(state, 'signature'));
+    }));
+  };
+
+  return HttpApi;
+});
@@ -0,0 +1,140 @@
+/**
+ * @fileOverview Small helpers shared by the modules that process HTTP
+ * requests: body parsing, JSON responses and constant-time comparison.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var http = require('http');
+  var ParamError = require('./errors/ParamError');
+
+  /**
+   * Maximum size of request bodies, in bytes
+   */
+  var MAX_BODY_SIZE = 1024 * 1024;
+
+
+  return {
+    /**
+     * Reads the raw body of the given request.
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @param {function} callback Called with the body as a Buffer, or with
+     *  a ParamError if the body is too large. In the latter case, the
+     *  callback should send the error response right away: the request is
+     *  destroyed once the response has been written.
+     */
+    readBody: function (req, callback) {
+      var chunks = [];
+      var size = 0;
+      var failed = false;
+
+      req.on('data', function (chunk) {
+        if (failed) return;
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          failed = true;
+          callback(new ParamError('Request body is too large'));
+
+          // Stop reading the request. The callback has sent the error
+          // response, wait for it to be written before closing the socket.
+          req.pause();
+          var socket = req.connection;
+          if (socket.bufferSize > 0) {
+            socket.once('drain', function () {
+              req.destroy();
+            });
+          }
+          else {
+            req.destroy();
+          }
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', function () {
+        if (failed) return;
+        return callback(null, Buffer.concat(chunks, size));
+      });
+    },
+
+
+    /**
+     * Decodes the given URL path segment.
+     *
+     * @function
+     * @param {string} segment The percent-encoded path segment
+     * @return {string} The decoded segment, null if the segment is not
+     *  correctly encoded
+     */
+    decodeSegment: function (segment) {
+      try {
+        return decodeURIComponent(segment);
+      }
+      catch (err) {
+        return null;
+      }
+    },
+
+
+    /**
+     * Sends the given object as JSON
+     *
+     * @function
+     * @param {http.ServerResponse} res The HTTP response
+     * @param {Number} statusCode The HTTP status code to send
+     * @param {Object} obj The object to serialize
+     */
+    sendJSON: function (res, statusCode, obj) {
+      var body = JSON.stringify(obj, null, 2);
+      res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      });
+      res.end(body);
+    },
+
+
+    /**
+     * Sends a response that only contains the given status code, using the
+     * same format as the GitHub hooks listener.
+     *
+     * @function
+     * @param {http.ServerResponse} res The HTTP response
+     * @param {Number} statusCode The HTTP status code to send
+     * @param {string} message Message to send, the status text by default
+     */
+    sendStatus: function (res, statusCode, message) {
+      this.sendJSON(res, statusCode, {
+        message: message || http.STATUS_CODES[statusCode].toLowerCase(),
+        result: (statusCode >= 400) ? 'error' : 'ok'
+      });
+    },
+
+
+    /**
+     * Compares the two given strings in constant time, not to leak secrets
+     * through timing.
+     *
+     * @function
+     * @param {string} str The string to check
+     * @param {string} expected The expected string
+     * @return {boolean} true if both strings are equal
+     */
+    safeEqual: function (str, expected) {
+      str = '' + (str || '');
+      expected = '' + (expected || '');
+      var diff = (str.length === expected.length) ? 0 : 1;
+      for (var i = 0; i < expected.length; i++) {
+        diff |= expected.charCodeAt(i) ^ str.charCodeAt(i);
+      }
+      return diff === 0;
+    }
+  };
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileOverview Compiles the patterns that hooks use to match repository
+ * names and Git refs.
+ *
+ * A pattern is either:
+ * - a regular expression enclosed in slashes, e.g. "/^refs\/tags\/v\d+/",
+ * optionally followed by the "i" or "m" flags, e.g. "/^joshfire/i". The
+ * regular expression is not anchored unless it says so.
+ * - a glob pattern, matched against the whole string, where "*" matches any
+ * sequence of characters except "/", "**" matches any sequence of characters
+ * including "/", and "?" matches any character except "/". For instance,
+ * "refs/heads/release/*" or "refs/tags/v*". A pattern without any of these
+ * characters simply matches the string that it represents.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var _ = require('underscore');
+  var ParamError = require('./errors/ParamError');
+
+  return {
+    /**
+     * Compiles the given pattern into a regular expression.
+     *
+     * The function throws a ParamError when the pattern is not a valid
+     * regular expression.
+     *
+     * @function
+     * @param {string} pattern The pattern to compile
+     * @return {RegExp} The equivalent regular expression
+     */
+    compile: function (pattern) {
+      pattern = '' + pattern;
+      var match = pattern.match(/^\/(.+)\/([im]*)$/);
+      if (match) {
+        try {
+          return new RegExp(match[1], match[2]);
+        }
+        catch (err) {
+          throw new ParamError('Invalid regular expression "' +
+            pattern + '"');
+        }
+      }
+
+      var regexp = pattern.replace(/\*\*|\*|\?|[\\\^\$\.\|\+\(\)\[\]\{\}\/]/g,
+        function (token) {
+          if (token === '**') return '.*';
+          if (token === '*') return '[^/]*';
+          if (token === '?') return '[^/]';
+          return '\\' + token;
+        });
+      return new RegExp('^' + regexp + '$');
+    },
+
+
+    /**
+     * Compiles the given list of patterns.
+     *
+     * @function
+     * @param {Array(string)|string} patterns The patterns to compile, or
+     *  a single pattern
+     * @return {Array(RegExp)} The equivalent regular expressions
+     */
+    compileAll: function (patterns) {
+      if (!patterns) return [];
+      return _.map(_.isArray(patterns) ? patterns : [patterns],
+        this.compile, this);
+    },
+
+
+    /**
+     * Returns true if the string matches one of the given regular
+     * expressions.
+     *
+     * @function
+     * @param {Array(RegExp)} regexps The compiled patterns
+     * @param {string} str The string to test
+     * @return {boolean} true if one of the patterns matches the string
+     */
+    matchesAny: function (regexps, str) {
+      return _.some(regexps, function (regexp) {
+        return regexp.test('' + str);
+      });
+    }
+  };
+});
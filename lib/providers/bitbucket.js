@@ -0,0 +1,108 @@
+/**
+ * @fileOverview Adapter for Bitbucket webhooks.
+ *
+ * Bitbucket signs the body of the request with the secret and sends the
+ * resulting HMAC-SHA256 digest in the "X-Hub-Signature" header, prefixed
+ * with "sha256=". Webhooks created without a secret may pass the HOOK_SECRET
+ * secret in the "secret" query string parameter instead.
+ *
+ * A Bitbucket push notification may contain more than one change, e.g.
+ * when several branches are pushed at once. Each change is reported as a
+ * separate "push" event. The repository name is the slug of the repository,
+ * i.e. the last part of its URL.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var crypto = require('crypto');
+  var url = require('url');
+  var _ = require('underscore');
+  var httputils = require('../httputils');
+
+  return {
+    /**
+     * Name of the provider
+     */
+    name: 'bitbucket',
+
+    /**
+     * Returns the type of event of the request, null if the request is not
+     * a Bitbucket notification
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @return {string} The event type, as given in the "X-Event-Key" header
+     *  (e.g. "repo:push")
+     */
+    getEventType: function (req) {
+      return req.headers['x-event-key'] || null;
+    },
+
+    /**
+     * Checks the signature of the request, or the secret in the query string
+     * if the request is not signed
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @param {Buffer} body The raw body of the request
+     * @param {string} secret The secret used to sign the request
+     * @param {boolean} allowQuery Whether the secret may be passed in the
+     *  query string when the request is not signed
+     * @return {boolean} true if the signature is valid
+     */
+    verify: function (req, body, secret, allowQuery) {
+      var signature = req.headers['x-hub-signature'];
+      if (!signature) {
+        return !!allowQuery &&
+          httputils.safeEqual(url.parse(req.url, true).query.secret, secret);
+      }
+      var expected = 'sha256=' + crypto.createHmac('sha256', secret)
+        .update(body)
+        .digest('hex');
+      return httputils.safeEqual(signature, expected);
+    },
+
+    /**
+     * Turns the payload of the notification into normalized events
+     *
+     * @function
+     * @param {string} type The event type
+     * @param {Object} payload The payload of the notification
+     * @return {Array(Object)} The list of normalized events
+     */
+    normalize: function (type, payload) {
+      payload = payload || {};
+      var repository = payload.repository || {};
+      var actor = payload.actor || {};
+      var changes = (payload.push || {}).changes || [];
+      var event = (type === 'repo:push') ? 'push' : type;
+      var base = {
+        provider: 'bitbucket',
+        event: event,
+        repository: (repository.full_name || '').split('/').pop() ||
+          repository.name,
+        pusher: actor.nickname || actor.username || actor.display_name,
+        payload: payload
+      };
+      if (event !== 'push') return [base];
+
+      return _.map(_.compact(_.isArray(changes) ? changes : []),
+        function (change) {
+          var before = change.old || {};
+          var after = change['new'] || {};
+          var target = change['new'] || change.old || {};
+          var prefix = (target.type === 'tag') ? 'refs/tags/' : 'refs/heads/';
+          return _.extend({}, base, {
+            ref: prefix + target.name,
+            before: (before.target || {}).hash || null,
+            commit: (after.target || {}).hash || null
+          });
+        });
+    }
+  };
+});
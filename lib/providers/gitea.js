@@ -0,0 +1,77 @@
+/**
+ * @fileOverview Adapter for Gitea webhooks.
+ *
+ * Gitea signs the body of the request with the secret and sends the
+ * resulting HMAC-SHA256 digest in hexadecimal in the "X-Gitea-Signature"
+ * header. Payloads follow the format of GitHub payloads.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var crypto = require('crypto');
+  var httputils = require('../httputils');
+
+  return {
+    /**
+     * Name of the provider
+     */
+    name: 'gitea',
+
+    /**
+     * Returns the type of event of the request, null if the request is not
+     * a Gitea notification
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @return {string} The event type (e.g. "push")
+     */
+    getEventType: function (req) {
+      return req.headers['x-gitea-event'] || null;
+    },
+
+    /**
+     * Checks the signature of the request
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @param {Buffer} body The raw body of the request
+     * @param {string} secret The secret used to sign the request
+     * @return {boolean} true if the signature is valid
+     */
+    verify: function (req, body, secret) {
+      var expected = crypto.createHmac('sha256', secret)
+        .update(body)
+        .digest('hex');
+      return httputils.safeEqual(req.headers['x-gitea-signature'], expected);
+    },
+
+    /**
+     * Turns the payload of the notification into normalized events
+     *
+     * @function
+     * @param {string} type The event type
+     * @param {Object} payload The payload of the notification
+     * @return {Array(Object)} The list of normalized events
+     */
+    normalize: function (type, payload) {
+      payload = payload || {};
+      var repository = payload.repository || {};
+      var pusher = payload.pusher || {};
+      return [{
+        provider: 'gitea',
+        event: type,
+        repository: repository.name,
+        ref: payload.ref,
+        before: payload.before,
+        commit: payload.after,
+        pusher: pusher.login || pusher.username,
+        payload: payload
+      }];
+    }
+  };
+});
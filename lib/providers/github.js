@@ -0,0 +1,87 @@
+/**
+ * @fileOverview Adapter for GitHub webhooks.
+ *
+ * GitHub signs notifications with the secret of the webhook (HMAC-SHA256,
+ * sent in the "X-Hub-Signature-256" header prefixed with "sha256="). Webhooks
+ * that have no secret on GitHub's end may pass the HOOK_SECRET secret in the
+ * "secret" query string parameter of the callback URL instead.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var crypto = require('crypto');
+  var url = require('url');
+  var httputils = require('../httputils');
+
+  return {
+    /**
+     * Name of the provider
+     */
+    name: 'github',
+
+    /**
+     * Returns the type of event of the request, null if the request is not
+     * a GitHub notification
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @return {string} The event type
+     */
+    getEventType: function (req) {
+      return req.headers['x-github-event'] || null;
+    },
+
+    /**
+     * Checks the secret of the request
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @param {Buffer} body The raw body of the request
+     * @param {string} secret The expected secret
+     * @param {boolean} allowQuery Whether the secret may be passed in the
+     *  query string when the request is not signed
+     * @return {boolean} true if the request carries the expected secret
+     */
+    verify: function (req, body, secret, allowQuery) {
+      var signature = req.headers['x-hub-signature-256'];
+      if (!signature) {
+        return !!allowQuery &&
+          httputils.safeEqual(url.parse(req.url, true).query.secret, secret);
+      }
+      var expected = 'sha256=' + crypto.createHmac('sha256', secret)
+        .update(body)
+        .digest('hex');
+      return httputils.safeEqual(signature, expected);
+    },
+
+    /**
+     * Turns the payload of the notification into normalized events
+     *
+     * @function
+     * @param {string} type The event type
+     * @param {Object} payload The payload of the notification
+     * @return {Array(Object)} The list of normalized events
+     */
+    normalize: function (type, payload) {
+      payload = payload || {};
+      var repository = payload.repository || {};
+      var pusher = payload.pusher || {};
+      var headCommit = payload.head_commit || {};
+      return [{
+        provider: 'github',
+        event: type,
+        repository: repository.name,
+        ref: payload.ref,
+        before: payload.before,
+        commit: payload.after || headCommit.id,
+        pusher: pusher.name || pusher.login,
+        payload: payload
+      }];
+    }
+  };
+});
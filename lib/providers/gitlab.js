@@ -0,0 +1,76 @@
+/**
+ * @fileOverview Adapter for GitLab webhooks.
+ *
+ * GitLab sends the secret token as is in the "X-Gitlab-Token" header.
+ * Push and tag push events are both reported as "push" events, as on GitHub.
+ * The repository name is the path of the project, i.e. the last part of its
+ * URL.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var httputils = require('../httputils');
+
+  return {
+    /**
+     * Name of the provider
+     */
+    name: 'gitlab',
+
+    /**
+     * Returns the type of event of the request, null if the request is not
+     * a GitLab notification
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @return {string} The event type, as given in the "X-Gitlab-Event"
+     *  header (e.g. "Push Hook")
+     */
+    getEventType: function (req) {
+      return req.headers['x-gitlab-event'] || null;
+    },
+
+    /**
+     * Checks the secret token of the request
+     *
+     * @function
+     * @param {http.IncomingMessage} req The HTTP request
+     * @param {Buffer} body The raw body of the request
+     * @param {string} secret The expected secret
+     * @return {boolean} true if the request carries the expected secret
+     */
+    verify: function (req, body, secret) {
+      return httputils.safeEqual(req.headers['x-gitlab-token'], secret);
+    },
+
+    /**
+     * Turns the payload of the notification into normalized events
+     *
+     * @function
+     * @param {string} type The event type
+     * @param {Object} payload The payload of the notification
+     * @return {Array(Object)} The list of normalized events
+     */
+    normalize: function (type, payload) {
+      payload = payload || {};
+      var project = payload.project || {};
+      var repository = payload.repository || {};
+      var kind = payload.object_kind || type;
+      return [{
+        provider: 'gitlab',
+        event: ((kind === 'push') || (kind === 'tag_push')) ? 'push' : kind,
+        repository: project.path || repository.name,
+        ref: payload.ref,
+        before: payload.before,
+        commit: payload.checkout_sha || payload.after,
+        pusher: payload.user_username || payload.user_name,
+        payload: payload
+      }];
+    }
+  };
+});
@@ -0,0 +1,340 @@
+/**
+ * @fileOverview Manages the local clone of a repository that tasks reuse
+ * from one run to the other, and repairs it when needed.
+ *
+ * A local clone may end up in a state that breaks later runs:
+ * - an interrupted clone, e.g. because the server restarted in the middle
+ * of a "git clone", a corrupted clone, or a clone of another origin
+ * - local modifications of tracked files left by a build script
+ * - untracked files left by a build script
+ * - a local branch that diverged from the remote branch, e.g. because the
+ * remote history was rewritten
+ *
+ * What the manager does about these problems depends on the repair policy:
+ * - "reset" (default): tracked files are reset, untracked files are removed
+ * (files ignored by Git and files that the manager is told to keep, such as
+ * installed dependencies, are not considered), diverged branches are
+ * reset to the remote branch, and interrupted clones are removed so that
+ * the repository gets cloned again.
+ * - "reclone": the local clone is removed whenever a problem is detected, so
+ * that the repository gets cloned again. Diverged branches are reset to the
+ * remote branch, which gives the same result as a new clone.
+ * - "none": problems are reported but nothing is done about them.
+ *
+ * The manager also handles bare repositories, in which case it only checks
+ * that the repository is usable and targets the right origin.
+ *
+ * Each detected problem is reported as a repair, an object with a "problem"
+ * and the "action" taken: "reclone", "reset", "clean" or "none".
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var fs = require('fs');
+  var path = require('path');
+  var _ = require('underscore');
+  var ParamError = require('./errors/ParamError');
+  var InternalError = require('./errors/InternalError');
+  var fsutils = require('./fsutils');
+
+  /**
+   * Known repair policies
+   */
+  var policies = ['reset', 'reclone', 'none'];
+
+
+  /**
+   * Creates the manager of the local clone in the given folder.
+   *
+   * The constructor throws a ParamError when the repair policy is unknown.
+   *
+   * @class
+   * @param {string} folder The folder of the local clone
+   * @param {Object} options Manager options:
+   *  - origin: the Git origin of the repository
+   *  - policy: the repair policy, "reset" by default
+   *  - keep: the list of untracked paths to keep, relative to the root of
+   *  the clone
+   *  - bare: set when the clone is a bare repository
+   *  - git: function that runs git with the list of arguments it receives
+   *  in the local clone, and calls its callback with an error if git could
+   *  not be run, the exit code of git and what git wrote to stdout.
+   */
+  var RepoCache = function (folder, options) {
+    options = options || {};
+
+    /**
+     * The folder of the local clone
+     */
+    this.folder = folder;
+
+    /**
+     * The Git origin of the repository
+     */
+    this.origin = options.origin;
+
+    /**
+     * The repair policy
+     */
+    this.policy = options.policy || 'reset';
+    if (!_.contains(policies, this.policy)) {
+      throw new ParamError('Unknown repair policy "' + this.policy + '"');
+    }
+
+    /**
+     * Untracked paths to keep, as Git exclude patterns
+     */
+    this.keep = _.map(options.keep || [], function (file) {
+      return '/' + file;
+    });
+
+    /**
+     * Whether the clone is a bare repository
+     */
+    this.bare = !!options.bare;
+
+    /**
+     * Function that runs git commands
+     */
+    this.git = options.git;
+  };
+
+
+  /**
+   * Runs git with the given arguments in the local clone. Commands target
+   * the folder of bare repositories explicitly, so that git never falls back
+   * to a parent repository.
+   *
+   * @function
+   * @private
+   * @param {Array(string)} args The arguments of the git command
+   * @param {function} callback Called with an error if git could not be run,
+   *  the exit code of git and what git wrote to stdout.
+   */
+  RepoCache.prototype.run = function (args, callback) {
+    if (this.bare) {
+      args = ['--git-dir=' + this.folder].concat(args);
+    }
+    this.git(args, callback);
+  };
+
+
+  /**
+   * Checks the local clone before the latest changes get fetched, and
+   * repairs it according to the repair policy.
+   *
+   * @function
+   * @param {function} callback Called with an error if the clone could not
+   *  be checked or repaired, and the list of repairs.
+   */
+  RepoCache.prototype.verify = function (callback) {
+    var self = this;
+    var repairs = [];
+
+    // Removes the local clone so that the repository gets cloned again
+    var reclone = function (problem) {
+      repairs.push({ problem: problem, action: 'reclone' });
+      fsutils.removeFolder(self.folder, function (err) {
+        return callback(err, repairs);
+      });
+    };
+
+    // Note the check on the ".git" folder also prevents git commands from
+    // running on a parent repository
+    fs.stat(this.folder, function (err) {
+      if (err) return callback(null, repairs);
+      var gitFolder = self.bare ? 'HEAD' : '.git';
+      fs.stat(path.join(self.folder, gitFolder), function (err) {
+        if (err) return self.report('interrupted clone', reclone, callback);
+
+        self.inspect(function (err, state) {
+          if (err) return callback(err, repairs);
+          if (state.broken) {
+            return self.report(state.broken, reclone, callback);
+          }
+          if (!state.modified && !state.untracked) {
+            return callback(null, repairs);
+          }
+          if (self.policy === 'none') {
+            if (state.modified) {
+              repairs.push({ problem: 'local modifications', action: 'none' });
+            }
+            if (state.untracked) {
+              repairs.push({ problem: 'untracked files', action: 'none' });
+            }
+            return callback(null, repairs);
+          }
+          if (self.policy === 'reclone') {
+            return reclone(state.modified ?
+              'local modifications' : 'untracked files');
+          }
+          self.reset(state, repairs, callback);
+        });
+      });
+    });
+  };
+
+
+  /**
+   * Reports a problem that can only be solved by cloning the repository
+   * again, unless the repair policy is "none".
+   *
+   * @function
+   * @private
+   * @param {string} problem The problem
+   * @param {function} reclone Function that clones the repository again
+   * @param {function} callback Called with the list of repairs when nothing
+   *  is done
+   */
+  RepoCache.prototype.report = function (problem, reclone, callback) {
+    if (this.policy === 'none') {
+      return callback(null, [{ problem: problem, action: 'none' }]);
+    }
+    return reclone(problem);
+  };
+
+
+  /**
+   * Inspects the local clone
+   *
+   * @function
+   * @private
+   * @param {function} callback Called with the state of the clone: the
+   *  "broken" problem if the clone is unusable, and "modified" and
+   *  "untracked" flags, which are never set for bare repositories.
+   */
+  RepoCache.prototype.inspect = function (callback) {
+    var self = this;
+    var args = ['rev-parse', '--verify', '-q', 'HEAD^{commit}'];
+    this.run(args, function (err, code) {
+      if (err) return callback(err);
+      if (code !== 0) return callback(null, { broken: 'interrupted clone' });
+
+      self.run(['config', 'remote.origin.url'], function (err, code, output) {
+        if (err) return callback(err);
+        if (self.origin && (output.trim() !== self.origin)) {
+          return callback(null, { broken: 'origin mismatch' });
+        }
+        if (self.bare) return callback(null, {});
+
+        args = ['status', '--porcelain', '--untracked-files=no'];
+        self.run(args, function (err, code, output) {
+          if (err) return callback(err);
+          if (code !== 0) return callback(null, { broken: 'corrupted clone' });
+          var modified = !!output.trim();
+
+          args = ['ls-files', '--others', '--exclude-standard', '--directory'];
+          _.each(self.keep, function (pattern) {
+            args.push('-x', pattern);
+          });
+          self.run(args, function (err, code, output) {
+            if (err) return callback(err);
+            if (code !== 0) {
+              return callback(null, { broken: 'corrupted clone' });
+            }
+            return callback(null, {
+              modified: modified,
+              untracked: !!output.trim()
+            });
+          });
+        });
+      });
+    });
+  };
+
+
+  /**
+   * Resets tracked files and removes untracked files
+   *
+   * @function
+   * @private
+   * @param {Object} state The state of the clone
+   * @param {Array(Object)} repairs The list of repairs to complete
+   * @param {function} callback Called with the list of repairs
+   */
+  RepoCache.prototype.reset = function (state, repairs, callback) {
+    var self = this;
+    var clean = function () {
+      if (!state.untracked) return callback(null, repairs);
+      var args = ['clean', '-fdq'];
+      _.each(self.keep, function (pattern) {
+        args.push('-e', pattern);
+      });
+      self.run(args, function (err, code) {
+        if (!err && (code !== 0)) {
+          err = new InternalError('git clean exited with code ' + code);
+        }
+        repairs.push({ problem: 'untracked files', action: 'clean' });
+        return callback(err, repairs);
+      });
+    };
+
+    if (!state.modified) return clean();
+    this.run(['reset', '-q', '--hard'], function (err, code) {
+      if (!err && (code !== 0)) {
+        err = new InternalError('git reset exited with code ' + code);
+      }
+      repairs.push({ problem: 'local modifications', action: 'reset' });
+      if (err) return callback(err, repairs);
+      return clean();
+    });
+  };
+
+
+  /**
+   * Checks whether the given local branch diverged from the remote branch,
+   * once the latest changes have been fetched, and resets the branch to the
+   * remote branch if needed, unless the repair policy is "none".
+   *
+   * The branch must be checked out.
+   *
+   * @function
+   * @param {string} branch The name of the branch
+   * @param {function} callback Called with an error if the branch could not
+   *  be reset, and the list of repairs.
+   */
+  RepoCache.prototype.syncBranch = function (branch, callback) {
+    var self = this;
+    var remote = 'refs/remotes/origin/' + branch;
+    this.run(['merge-base', '--is-ancestor', 'HEAD', remote],
+      function (err, code) {
+        // Exit code is 1 when HEAD is not an ancestor of the remote branch,
+        // other codes mean that the remote branch does not exist
+        if (err || (code !== 1)) return callback(err, []);
+        if (self.policy === 'none') {
+          return callback(null, [{
+            problem: 'diverged branch',
+            action: 'none'
+          }]);
+        }
+        self.run(['reset', '-q', '--hard', remote], function (err, code) {
+          if (!err && (code !== 0)) {
+            err = new InternalError('git reset exited with code ' + code);
+          }
+          return callback(err, [{
+            problem: 'diverged branch',
+            action: 'reset'
+          }]);
+        });
+      });
+  };
+
+  /**
+   * Returns the name of the folder that contains the local clone of the
+   * given origin, relative to the folder of local clones
+   *
+   * @function
+   * @param {string} origin The Git origin of the repository
+   * @return {string} The name of the folder
+   */
+  RepoCache.getFolderName = function (origin) {
+    return ('' + origin).replace(/[:@\.\/]/g, '-');
+  };
+
+  return RepoCache;
+});
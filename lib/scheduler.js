@@ -0,0 +1,553 @@
+/**
+ * @fileOverview Schedules the periodic hooks, each hook following its own
+ * cron expression or interval.
+ *
+ * Each hook may define:
+ * - schedule: a cron expression (see cron.js)
+ * - interval: the number of seconds between two runs
+ * - timezone: the time zone in which the cron expression is evaluated
+ * - jitter: a maximum number of seconds to add at random to each run time,
+ * to avoid running all hooks at the exact same time.
+ *
+ * Hooks that define neither a schedule nor an interval run at the default
+ * interval of the scheduler.
+ *
+ * The last and next run times of each hook are saved to a state file, so
+ * that a restart does not re-run all hooks right away. A run that was due
+ * while the server was down runs as soon as the scheduler starts.
+ *
+ * When a hook is due, the "run" function of the scheduler tells what it did
+ * with the run: "queued" (along with the ID of the task that will run),
+ * "deferred" or "skipped". Deferred runs are attempted again every few
+ * seconds until they get queued or skipped. A deferred run that is still
+ * waiting when the hook is due again counts as skipped. The outcome of the
+ * latest runs of each hook is recorded in its history, saved to the state
+ * file as well.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var fs = require('fs');
+  var async = require('async');
+  var _ = require('underscore');
+  var woodman = require('woodman');
+  var CronExpression = require('./cron');
+
+  var logger = woodman.getLogger('scheduler');
+
+  /**
+   * Maximum delay between two checks of the schedule, in milliseconds.
+   * Checks are done at least once per hour to cope with clock changes.
+   */
+  var MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+  /**
+   * Delay between two attempts to run a deferred hook, in milliseconds
+   */
+  var DEFERRED_DELAY = 10 * 1000;
+
+  /**
+   * Number of events kept in the history of each hook
+   */
+  var HISTORY_SIZE = 20;
+
+
+  /**
+   * Creates a scheduler for the given periodic hooks.
+   *
+   * Hooks whose schedule is invalid are reported and ignored.
+   *
+   * @class
+   * @param {Object} hooks The periodic hooks, indexed by name
+   * @param {Object} options Scheduler options:
+   *  - stateFile: the file that stores the last and next run times
+   *  - interval: the default interval between two runs, in seconds
+   *  - run: the function to call with the name of the hook, the hook and
+   *  a callback when a hook is due. The function must call the callback
+   *  with an error or with an object whose "status" is "queued", "deferred"
+   *  or "skipped". Queued runs should also report the ID of the task that
+   *  will run in "taskId", and other runs may explain what happened in
+   *  "reason".
+   */
+  var Scheduler = function (hooks, options) {
+    /**
+     * Scheduler options
+     */
+    this.options = options || {};
+    this.options.interval = this.options.interval || 1200;
+    this.options.run = this.options.run || function (name, hook, callback) {
+      return callback(null, { status: 'skipped', reason: 'nothing to run' });
+    };
+
+    /**
+     * Scheduled hooks, indexed by name. Each entry features the hook, its
+     * cron expression or interval, its last and next run dates, the date
+     * since which its current run is deferred if it is, the number of runs
+     * per outcome and the history of its latest runs.
+     */
+    this.entries = {};
+
+    /**
+     * The timer set for the next check
+     */
+    this.timer = null;
+
+    /**
+     * Save in progress and save requested in the meantime
+     */
+    this.saving = false;
+    this.dirty = false;
+
+    /**
+     * Whether the scheduler has started
+     */
+    this.started = false;
+
+    /**
+     * Check in progress and check requested in the meantime
+     */
+    this.checking = false;
+    this.recheck = false;
+
+    _.each(hooks || {}, function (hook, name) {
+      var entry = this.createEntry(name, hook);
+      if (entry) {
+        this.entries[name] = entry;
+      }
+    }, this);
+  };
+
+
+  /**
+   * Creates the entry of the given hook
+   *
+   * @function
+   * @private
+   * @param {string} name The name of the hook
+   * @param {Object} hook The periodic hook
+   * @return {Object} The entry, null if the schedule of the hook is invalid
+   */
+  Scheduler.prototype.createEntry = function (name, hook) {
+    var entry = {
+      name: name,
+      hook: hook,
+      jitter: parseInt(hook.jitter || 0, 10) || 0,
+      signature: JSON.stringify([
+        hook.schedule || null,
+        hook.interval || null,
+        hook.timezone || null
+      ]),
+      lastRun: null,
+      nextRun: null,
+      deferredSince: null,
+      counts: {},
+      history: []
+    };
+    if (hook.schedule) {
+      try {
+        entry.cron = new CronExpression(hook.schedule, hook.timezone);
+      }
+      catch (err) {
+        logger.error('invalid schedule, hook ignored',
+          'hook=' + name, err.message);
+        return null;
+      }
+    }
+    else {
+      entry.interval = parseInt(hook.interval || this.options.interval, 10);
+      if (!(entry.interval > 0)) {
+        logger.error('invalid interval, hook ignored', 'hook=' + name);
+        return null;
+      }
+    }
+    return entry;
+  };
+
+
+  /**
+   * Starts the scheduler, reading the state file first
+   *
+   * @function
+   * @param {function} callback Called when the scheduler has started
+   */
+  Scheduler.prototype.start = function (callback) {
+    callback = callback || function () {};
+
+    var self = this;
+    this.loadState(function (state) {
+      var now = new Date();
+      self.started = true;
+      _.each(self.entries, function (entry) {
+        var saved = state[entry.name];
+        if (saved) {
+          entry.lastRun = saved.lastRun ? new Date(saved.lastRun) : null;
+          entry.deferredSince = saved.deferredSince ?
+            new Date(saved.deferredSince) : null;
+          entry.counts = saved.counts || {};
+          entry.history = saved.history || [];
+        }
+        if (saved && saved.nextRun && (saved.signature === entry.signature)) {
+          entry.nextRun = new Date(saved.nextRun);
+          if (entry.nextRun < now) {
+            logger.info('missed run will run now', 'hook=' + entry.name,
+              'nextRun=' + saved.nextRun);
+            self.record(entry, {
+              status: 'missed',
+              reason: 'server was down when the run was due',
+              dueDate: saved.nextRun
+            });
+          }
+        }
+        else if (entry.cron) {
+          entry.nextRun = self.computeNextRun(entry, now);
+        }
+        else {
+          // Interval hooks without history run right away
+          entry.nextRun = now;
+        }
+        logger.log('scheduled', 'hook=' + entry.name,
+          'nextRun=' + (entry.nextRun ? entry.nextRun.toISOString() : 'never'));
+      });
+      self.saveState();
+      self.check();
+      return callback();
+    });
+  };
+
+
+  /**
+   * Replaces the periodic hooks, e.g. when the configuration is reloaded.
+   *
+   * Hooks that remain keep their history. They also keep their next run
+   * date unless their schedule, interval or jitter changed, in which case
+   * the next run date is computed again from the last run date. Removed
+   * hooks are no longer scheduled.
+   *
+   * @function
+   * @param {Object} hooks The periodic hooks, indexed by name
+   * @param {Object} options Scheduler options to update, e.g. the default
+   *  "interval"
+   */
+  Scheduler.prototype.reload = function (hooks, options) {
+    _.extend(this.options, options);
+
+    var now = new Date();
+    var previous = this.entries;
+    this.entries = {};
+    _.each(hooks || {}, function (hook, name) {
+      var entry = this.createEntry(name, hook);
+      if (!entry) return;
+      this.entries[name] = entry;
+
+      var old = previous[name];
+      if (old) {
+        entry.lastRun = old.lastRun;
+        entry.deferredSince = old.deferredSince;
+        entry.counts = old.counts;
+        entry.history = old.history;
+      }
+      if (!this.started) return;
+
+      if (old && (old.signature === entry.signature) &&
+          (old.interval === entry.interval) &&
+          (old.jitter === entry.jitter)) {
+        entry.nextRun = old.nextRun;
+        return;
+      }
+      if (entry.cron || entry.lastRun) {
+        entry.nextRun = this.computeNextRun(entry, entry.cron ?
+          now : entry.lastRun);
+      }
+      else {
+        // Interval hooks without history run right away
+        entry.nextRun = now;
+      }
+      logger.log('rescheduled', 'hook=' + name,
+        'nextRun=' + (entry.nextRun ? entry.nextRun.toISOString() : 'never'));
+    }, this);
+    _.each(previous, function (entry, name) {
+      if (!this.entries[name]) {
+        logger.log('unscheduled', 'hook=' + name);
+      }
+    }, this);
+
+    if (this.started) {
+      this.saveState();
+      this.check();
+    }
+  };
+
+
+  /**
+   * Stops the scheduler
+   *
+   * @function
+   */
+  Scheduler.prototype.stop = function () {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  };
+
+
+  /**
+   * Computes the next run date of the given entry after the given date,
+   * jitter included.
+   *
+   * @function
+   * @private
+   * @param {Object} entry The scheduled hook
+   * @param {Date} after The date to start from
+   * @return {Date} The next run date, null if the hook will never run again
+   */
+  Scheduler.prototype.computeNextRun = function (entry, after) {
+    var next = entry.cron ?
+      entry.cron.next(after) :
+      new Date(after.getTime() + entry.interval * 1000);
+    if (next && entry.jitter) {
+      next = new Date(next.getTime() +
+        Math.floor(Math.random() * entry.jitter * 1000));
+    }
+    return next;
+  };
+
+
+  /**
+   * Records a new event in the history of the given entry
+   *
+   * @function
+   * @private
+   * @param {Object} entry The scheduled hook
+   * @param {Object} event The event, with at least a "status" property
+   */
+  Scheduler.prototype.record = function (entry, event) {
+    event = _.extend({ date: (new Date()).toISOString() }, event);
+    entry.counts[event.status] = (entry.counts[event.status] || 0) + 1;
+    entry.history.unshift(event);
+    entry.history = entry.history.slice(0, HISTORY_SIZE);
+  };
+
+
+  /**
+   * Runs the given hook and records the outcome
+   *
+   * @function
+   * @private
+   * @param {Object} entry The scheduled hook to run
+   * @param {function} callback Called when the outcome has been recorded
+   */
+  Scheduler.prototype.runEntry = function (entry, callback) {
+    var self = this;
+    var done = _.once(function (err, result) {
+      if (err) {
+        logger.error('could not run periodic hook',
+          'hook=' + entry.name, err.toString());
+        result = { status: 'skipped', reason: err.toString() };
+      }
+      result = result || {};
+
+      if (result.status === 'deferred') {
+        if (!entry.deferredSince) {
+          logger.info('periodic hook deferred', 'hook=' + entry.name,
+            result.reason || '');
+          entry.deferredSince = new Date();
+          self.record(entry, result);
+        }
+        return callback();
+      }
+
+      var event = _.clone(result);
+      if (entry.deferredSince) {
+        event.deferredSince = entry.deferredSince.toISOString();
+        entry.deferredSince = null;
+      }
+      if (event.status === 'skipped') {
+        logger.warn('periodic hook skipped', 'hook=' + entry.name,
+          event.reason || '');
+      }
+      self.record(entry, event);
+      return callback();
+    });
+
+    try {
+      this.options.run(entry.name, entry.hook, done);
+    }
+    catch (err) {
+      done(err);
+    }
+  };
+
+
+  /**
+   * Runs the hooks that are due and deferred hooks, and schedules the next
+   * check
+   *
+   * @function
+   * @private
+   */
+  Scheduler.prototype.check = function () {
+    this.stop();
+
+    // Hooks are run one after the other, a check requested in the meantime
+    // runs once the current one is over
+    if (this.checking) {
+      this.recheck = true;
+      return;
+    }
+    this.checking = true;
+
+    var self = this;
+    var now = new Date();
+    var changed = false;
+    async.eachSeries(_.values(this.entries), function (entry, next) {
+      var due = entry.nextRun && (entry.nextRun <= now);
+      if (due) {
+        logger.info('run periodic hook', 'hook=' + entry.name);
+        if (entry.deferredSince) {
+          self.record(entry, {
+            status: 'skipped',
+            reason: 'previous run still deferred',
+            deferredSince: entry.deferredSince.toISOString()
+          });
+          entry.deferredSince = null;
+        }
+        entry.lastRun = now;
+        entry.nextRun = self.computeNextRun(entry, now);
+        changed = true;
+        return self.runEntry(entry, next);
+      }
+      else if (entry.deferredSince) {
+        return self.runEntry(entry, function () {
+          changed = changed || !entry.deferredSince;
+          return next();
+        });
+      }
+      return next();
+    }, function () {
+      self.checking = false;
+      if (changed) {
+        self.saveState();
+      }
+      if (self.recheck) {
+        self.recheck = false;
+        return self.check();
+      }
+      self.scheduleCheck();
+    });
+  };
+
+
+  /**
+   * Sets the timer for the next check, when the next hook is due or when
+   * deferred runs should be attempted again
+   *
+   * @function
+   * @private
+   */
+  Scheduler.prototype.scheduleCheck = function () {
+    this.stop();
+
+    var nextRuns = _.compact(_.pluck(this.entries, 'nextRun'));
+    if (_.find(this.entries, function (entry) {
+      return entry.deferredSince;
+    })) {
+      nextRuns.push(new Date(Date.now() + DEFERRED_DELAY));
+    }
+    if (nextRuns.length === 0) return;
+    var delay = Math.min(
+      Math.max(_.min(nextRuns) - Date.now(), 0),
+      MAX_TIMER_DELAY);
+    this.timer = setTimeout(_.bind(this.check, this), delay);
+  };
+
+
+  /**
+   * Returns the state of the scheduled hooks, indexed by name
+   *
+   * @function
+   * @return {Object} The last and next run dates of each hook, the date
+   *  since which its current run is deferred, the number of runs per outcome
+   *  and the history of its latest runs, newest first
+   */
+  Scheduler.prototype.getState = function () {
+    var toISOString = function (date) {
+      return date ? date.toISOString() : null;
+    };
+    var state = {};
+    _.each(this.entries, function (entry) {
+      state[entry.name] = {
+        signature: entry.signature,
+        lastRun: toISOString(entry.lastRun),
+        nextRun: toISOString(entry.nextRun),
+        deferredSince: toISOString(entry.deferredSince),
+        counts: entry.counts,
+        history: entry.history
+      };
+    });
+    return state;
+  };
+
+
+  /**
+   * Reads the state file
+   *
+   * @function
+   * @private
+   * @param {function} callback Called with the saved state, an empty object
+   *  if the file does not exist or cannot be read.
+   */
+  Scheduler.prototype.loadState = function (callback) {
+    if (!this.options.stateFile) return callback({});
+
+    var stateFile = this.options.stateFile;
+    fs.readFile(stateFile, 'utf8', function (err, data) {
+      if (err) return callback({});
+      try {
+        return callback(JSON.parse(data) || {});
+      }
+      catch (parseErr) {
+        logger.warn('invalid state file, ignored', 'file=' + stateFile);
+        return callback({});
+      }
+    });
+  };
+
+
+  /**
+   * Saves the state file, one save at a time
+   *
+   * @function
+   * @private
+   */
+  Scheduler.prototype.saveState = function () {
+    if (!this.options.stateFile) return;
+    if (this.saving) {
+      this.dirty = true;
+      return;
+    }
+
+    var self = this;
+    this.saving = true;
+    this.dirty = false;
+    fs.writeFile(this.options.stateFile,
+      JSON.stringify(this.getState(), null, 2),
+      function (err) {
+        self.saving = false;
+        if (err) {
+          logger.error('could not save state file',
+            'file=' + self.options.stateFile, err.toString());
+        }
+        if (self.dirty) {
+          self.saveState();
+        }
+      });
+  };
+
+  return Scheduler;
+});
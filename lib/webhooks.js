@@ -0,0 +1,409 @@
+/**
+ * @fileOverview Receives push notifications from GitHub, GitLab, Gitea and
+ * Bitbucket.
+ *
+ * Each provider posts its notifications to its own callback URL, e.g.
+ * "/gitlab/callback". The receiver first rejects notifications that carry
+ * none of the secrets of the provider. It then turns the payload of the
+ * notification into normalized events using the provider adapter (see the
+ * "providers" folder), checks that the notification carries one of the
+ * secrets that apply to the repository of the events, and hands each event
+ * over to the "dispatch" function, which queues the tasks of the hooks that
+ * match the event. Secrets may differ from one repository to the other,
+ * and several secrets may be valid at once so that secrets can be rotated.
+ *
+ * The receiver also exposes generic triggers at "/trigger/[name]" for
+ * services that are not Git providers, e.g. a CMS that calls a URL when its
+ * content changes. Each trigger has its own secret, used either to sign the
+ * body of the request (HMAC-SHA256, sent in the "X-Hub-Signature-256"
+ * header prefixed with "sha256="), or as a bearer token in the
+ * "Authorization" header. Fields of the JSON payload may be passed to the
+ * action of the trigger as environment variables.
+ *
+ * As with the task API, the receiver does not run its own HTTP server and
+ * is meant to be plugged in front of another request handler.
+ */
+/*global module*/
+
+// Run amdefine magic
+if (typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function (require) {
+  var crypto = require('crypto');
+  var async = require('async');
+  var querystring = require('querystring');
+  var url = require('url');
+  var _ = require('underscore');
+  var woodman = require('woodman');
+  var httputils = require('./httputils');
+
+  var logger = woodman.getLogger('webhooks');
+
+  /**
+   * Provider adapters, indexed by name
+   */
+  var providers = {
+    github: require('./providers/github'),
+    gitlab: require('./providers/gitlab'),
+    gitea: require('./providers/gitea'),
+    bitbucket: require('./providers/bitbucket')
+  };
+
+
+  /**
+   * Creates the webhook receiver.
+   *
+   * @class
+   * @param {Object} options Receiver options:
+   *  - getSecrets: function called with a normalized event, that returns
+   *  the list of secrets that notifications on the repository of the event
+   *  may carry, empty if no secret is specific to the repository.
+   *  - getDefaultSecrets: function that returns the list of secrets that
+   *  apply when getSecrets returns none. Notifications may also carry these
+   *  secrets in the "secret" query string parameter of the callback URL,
+   *  for providers that support it. Notifications are not checked when the
+   *  list is empty.
+   *  - getProviderSecrets: function called with the name of a provider, that
+   *  returns the list of secrets that notifications from the provider may
+   *  carry whatever their repository, default secrets excepted. Used to
+   *  check notifications before their payload is processed.
+   *  - dispatch: function called with each normalized event, the secret
+   *  that the notification carries, null if the notification was not
+   *  checked, and a callback to call with the list of IDs of the tasks that
+   *  will run.
+   *  - triggers: the generic triggers, indexed by name. Each trigger may
+   *  define a "secret" to check the signature of requests, a "token" to
+   *  check their "Authorization" header, and an "env" object that maps
+   *  environment variables to the path of fields in the payload.
+   *  - runTrigger: function called with the name of a trigger, the
+   *  environment variables extracted from the payload, the payload itself
+   *  and a callback to call with the ID of the task that will run, null if
+   *  the trigger is unknown.
+   */
+  var WebhookReceiver = function (options) {
+    /**
+     * Receiver options
+     */
+    this.options = options || {};
+    this.options.dispatch = this.options.dispatch ||
+      function (event, secret, callback) {
+        return callback(null, []);
+      };
+    this.options.getSecrets = this.options.getSecrets || function () {
+      return [];
+    };
+    this.options.getDefaultSecrets = this.options.getDefaultSecrets ||
+      function () {
+        return [];
+      };
+    this.options.getProviderSecrets = this.options.getProviderSecrets ||
+      function () {
+        return [];
+      };
+    this.options.triggers = this.options.triggers || {};
+  };
+
+
+  /**
+   * Returns the adapter of the given provider
+   *
+   * @function
+   * @param {string} name The name of the provider
+   * @return {Object} The provider adapter, null if the provider is unknown
+   */
+  WebhookReceiver.getProvider = function (name) {
+    return providers.hasOwnProperty(name) ? providers[name] : null;
+  };
+
+
+  /**
+   * Returns the secret that the notification carries among the given
+   * candidates.
+   *
+   * @function
+   * @private
+   * @param {Object} provider The provider adapter
+   * @param {Array(Object)} candidates The candidate secrets, objects with a
+   *  "secret" property and an "allowQuery" flag that tells whether the
+   *  secret may be passed in the query string
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {Buffer} body The raw body of the request
+   * @return {string|boolean} The secret, null when there is no candidate,
+   *  false when the notification does not carry any of the candidates.
+   */
+  var findSecret = function (provider, candidates, req, body) {
+    if (candidates.length === 0) return null;
+    var candidate = _.find(candidates, function (candidate) {
+      return provider.verify(req, body, candidate.secret,
+        candidate.allowQuery);
+    });
+    return candidate ? candidate.secret : false;
+  };
+
+
+  /**
+   * Processes the request if it targets the callback URL of a provider.
+   *
+   * @function
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {http.ServerResponse} res The HTTP response
+   * @return {boolean} true if the request is being processed by the receiver,
+   *  false if the request should be passed on to another handler.
+   */
+  WebhookReceiver.prototype.handle = function (req, res) {
+    var path = url.parse(req.url).pathname;
+    var match = path.match(/^\/trigger\/([^\/]+)$/);
+    if (match) {
+      var name = httputils.decodeSegment(match[1]);
+      if (name === null) {
+        httputils.sendStatus(res, 404, 'trigger not found');
+        return true;
+      }
+      this.handleTrigger(req, res, name);
+      return true;
+    }
+    match = path.match(/^\/(github|gitlab|gitea|bitbucket)\/callback\/?$/);
+    if (!match) return false;
+
+    var provider = providers[match[1]];
+    if (req.method !== 'POST') {
+      httputils.sendStatus(res, 405);
+      return true;
+    }
+
+    var type = provider.getEventType(req);
+    if (!type) {
+      logger.warn('no event type in notification',
+        'provider=' + provider.name);
+      httputils.sendStatus(res, 400);
+      return true;
+    }
+
+    var self = this;
+    httputils.readBody(req, function (err, body) {
+      if (err) return httputils.sendStatus(res, 400, err.message);
+
+      // GitHub may send the payload as a form field
+      var payload = null;
+      try {
+        payload = body.toString('utf8');
+        if ((provider.name === 'github') && (req.headers['content-type'] ===
+            'application/x-www-form-urlencoded')) {
+          payload = querystring.parse(payload).payload;
+        }
+        payload = JSON.parse(payload);
+      }
+      catch (parseErr) {
+        return httputils.sendStatus(res, 400, 'Invalid JSON body');
+      }
+
+      // Reject notifications that do not carry any of the secrets of the
+      // provider before processing their payload
+      if (!self.checkProviderSecret(provider, req, body)) {
+        logger.warn('invalid signature or secret in notification',
+          'provider=' + provider.name);
+        return httputils.sendStatus(res, 403);
+      }
+
+      var events = null;
+      try {
+        events = provider.normalize(type, payload);
+      }
+      catch (normalizeErr) {
+        logger.warn('invalid notification payload',
+          'provider=' + provider.name, normalizeErr.toString());
+        return httputils.sendStatus(res, 400, 'Invalid notification payload');
+      }
+      var repositories = _.uniq(_.pluck(events, 'repository'));
+      var secret = self.getSecret(provider, events, req, body);
+      if (secret === false) {
+        logger.warn('invalid signature or secret in notification',
+          'provider=' + provider.name, 'repo=' + repositories.join(','));
+        return httputils.sendStatus(res, 403);
+      }
+
+      async.mapSeries(events, function (event, next) {
+        logger.info('received notification', 'provider=' + event.provider,
+          'event=' + event.event, 'repo=' + event.repository,
+          'ref=' + event.ref);
+        self.options.dispatch(event, secret, next);
+      }, function (err, taskIds) {
+        if (err) {
+          logger.error('could not queue tasks', 'provider=' + provider.name,
+            err.toString());
+          return httputils.sendStatus(res, 500);
+        }
+        return httputils.sendJSON(res, 200, {
+          message: 'ok',
+          result: 'ok',
+          tasks: _.flatten(taskIds || [])
+        });
+      });
+    });
+    return true;
+  };
+
+
+  /**
+   * Returns the secret that the notification carries, among the secrets
+   * that apply to the repositories of the given events. Default secrets
+   * apply to repositories that have no specific secret, and when there is
+   * no event. Only default secrets may be passed in the query string.
+   *
+   * @function
+   * @private
+   * @param {Object} provider The provider adapter
+   * @param {Array(Object)} events The normalized events of the notification
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {Buffer} body The raw body of the request
+   * @return {string|boolean} The secret, null when no secret applies, false
+   *  when the notification does not carry any of the secrets that apply.
+   */
+  WebhookReceiver.prototype.getSecret = function (provider, events, req,
+      body) {
+    events = events.length ? events : [{ provider: provider.name }];
+    var candidates = _.flatten(_.map(events, function (event) {
+      var secrets = _.compact(this.options.getSecrets(event) || []);
+      var isDefault = (secrets.length === 0);
+      if (isDefault) {
+        secrets = _.compact(this.options.getDefaultSecrets() || []);
+      }
+      return _.map(secrets, function (secret) {
+        return { secret: secret, allowQuery: isDefault };
+      });
+    }, this));
+    return findSecret(provider, candidates, req, body);
+  };
+
+
+  /**
+   * Checks that the notification carries one of the secrets of the provider,
+   * whatever the repository. The check only applies when default secrets
+   * are set, since notifications on repositories that have no specific
+   * secret do not need to carry any secret otherwise.
+   *
+   * @function
+   * @private
+   * @param {Object} provider The provider adapter
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {Buffer} body The raw body of the request
+   * @return {boolean} false when the notification cannot carry a valid secret
+   */
+  WebhookReceiver.prototype.checkProviderSecret = function (provider, req,
+      body) {
+    var defaults = _.compact(this.options.getDefaultSecrets() || []);
+    if (defaults.length === 0) return true;
+    var secrets = _.compact(
+      this.options.getProviderSecrets(provider.name) || []);
+    var candidates = _.map(defaults, function (secret) {
+      return { secret: secret, allowQuery: true };
+    }).concat(_.map(secrets, function (secret) {
+      return { secret: secret, allowQuery: false };
+    }));
+    return findSecret(provider, candidates, req, body) !== false;
+  };
+
+
+  /**
+   * Processes a request sent to a generic trigger
+   *
+   * @function
+   * @private
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {http.ServerResponse} res The HTTP response
+   * @param {string} name The name of the trigger
+   */
+  WebhookReceiver.prototype.handleTrigger = function (req, res, name) {
+    var triggers = this.options.triggers;
+    var trigger = triggers.hasOwnProperty(name) ? triggers[name] : null;
+    if (req.method !== 'POST') return httputils.sendStatus(res, 405);
+    if (!trigger) return httputils.sendStatus(res, 404, 'trigger not found');
+
+    var self = this;
+    httputils.readBody(req, function (err, body) {
+      if (err) return httputils.sendStatus(res, 400, err.message);
+
+      if (!trigger.secret && !trigger.token) {
+        logger.warn('rejected trigger, no secret or token configured',
+          'trigger=' + name);
+        return httputils.sendStatus(res, 403,
+          'trigger secret not configured');
+      }
+      if (!self.checkTrigger(trigger, req, body)) {
+        logger.warn('invalid signature or token in trigger request',
+          'trigger=' + name);
+        return httputils.sendStatus(res, 403);
+      }
+
+      var payload = {};
+      if (body.length > 0) {
+        try {
+          payload = JSON.parse(body.toString('utf8'));
+        }
+        catch (parseErr) {
+          return httputils.sendStatus(res, 400, 'Invalid JSON body');
+        }
+      }
+
+      var env = {};
+      _.each(trigger.env || {}, function (field, key) {
+        var value = _.reduce(('' + field).split('.'), function (obj, prop) {
+          return (_.isObject(obj) && _.has(obj, prop)) ? obj[prop] : undefined;
+        }, payload);
+        if (_.isUndefined(value) || _.isNull(value)) return;
+        env[key] = _.isObject(value) ? JSON.stringify(value) : '' + value;
+      });
+
+      logger.info('received trigger request', 'trigger=' + name);
+      if (!self.options.runTrigger) {
+        return httputils.sendStatus(res, 404, 'trigger not found');
+      }
+      self.options.runTrigger(name, env, payload, function (err, taskId) {
+        if (err) {
+          logger.error('could not queue task', 'trigger=' + name,
+            err.toString());
+          return httputils.sendStatus(res, 500);
+        }
+        if (!taskId) {
+          return httputils.sendStatus(res, 404, 'trigger not found');
+        }
+        return httputils.sendJSON(res, 202, {
+          message: 'accepted',
+          result: 'ok',
+          tasks: [taskId]
+        });
+      });
+    });
+  };
+
+
+  /**
+   * Checks the signature or the bearer token of a request sent to the given
+   * trigger. Either one is enough when the trigger defines both.
+   *
+   * @function
+   * @private
+   * @param {Object} trigger The trigger
+   * @param {http.IncomingMessage} req The HTTP request
+   * @param {Buffer} body The raw body of the request
+   * @return {boolean} true if the request is authorized
+   */
+  WebhookReceiver.prototype.checkTrigger = function (trigger, req, body) {
+    if (trigger.token && httputils.safeEqual(req.headers.authorization,
+        'Bearer ' + trigger.token)) {
+      return true;
+    }
+    if (trigger.secret && req.headers['x-hub-signature-256']) {
+      var expected = 'sha256=' + crypto.createHmac('sha256', trigger.secret)
+        .update(body)
+        .digest('hex');
+      return httputils.safeEqual(req.headers['x-hub-signature-256'],
+        expected);
+    }
+    return false;
+  };
+
+  return WebhookReceiver;
+});
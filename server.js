@@ -1,16 +1,34 @@
 /**
  * @fileOverview Simple HTTP Web server that receives POST notifications
- * from GitHub whenever a push is made and runs Git-related actions to
- * react on these updates.
+ * from GitHub, GitLab, Gitea or Bitbucket whenever a push is made and runs
+ * Git-related actions to react on these updates. Notifications must carry
+ * one of the secrets that apply to their repository, if any.
  *
- * The server also runs a monitoring task once every 20 minutes by default
- * to react on external updates (e.g. external feeds that change over time).
+ * The server also runs monitoring tasks once every 20 minutes by default, or
+ * following their own schedule, to react on external updates (e.g. external
+ * feeds that change over time).
+ *
+ * The same HTTP port also exposes a small API to query the task queue.
+ *
+ * The server refuses to start when the configuration is invalid. Run the
+ * server with "--check-config" to validate the configuration without
+ * starting the server.
+ *
+ * The configuration is reloaded on SIGHUP and when a configuration file
+ * changes, see reloadConfig.
  */
+/*global process, console, __dirname*/
 
+var async = require('async');
 var githubhook = require('githubhook');
-var config = require('./lib/config');
+var configLoader = require('./lib/config');
 var TaskQueue = require('./lib/filequeue');
 var gitaction = require('./lib/gitaction');
+var HttpApi = require('./lib/httpapi');
+var Scheduler = require('./lib/scheduler');
+var Housekeeper = require('./lib/housekeeping');
+var WebhookReceiver = require('./lib/webhooks');
+var pattern = require('./lib/pattern');
 var woodman = require('woodman');
 var fs = require('fs');
 var path = require('path');
@@ -51,6 +69,28 @@ var deleteFolder = function (path) {
 };
 
 
+// Read and validate the configuration. Problems are reported to the console
+// since log settings are part of the configuration.
+var loadedConfig = configLoader.load();
+var configErrors = loadedConfig.problems.filter(function (problem) {
+  return problem.level === 'error';
+});
+loadedConfig.problems.forEach(function (problem) {
+  console.error(configLoader.format(problem));
+});
+if (process.argv.indexOf('--check-config') !== -1) {
+  console.log(configErrors.length ?
+    'Configuration is invalid, ' + configErrors.length + ' error(s)' :
+    'Configuration is valid');
+  process.exit(configErrors.length ? 1 : 0);
+}
+if (configErrors.length) {
+  console.error('Server not started, the configuration has ' +
+    configErrors.length + ' error(s)');
+  process.exit(1);
+}
+var config = loadedConfig.config;
+
 woodman.load(config.WOODMAN || 'console');
 var logger = woodman.getLogger('server');
 logger.log('Server starting...');
@@ -66,10 +106,15 @@ else {
   logger.log('Create folder ' + dataFolder + '... done');
 }
 
-// Create the task queue along with the worker function
+// Create the task queue along with the worker function. Tasks on different
+// repositories run in parallel up to MAX_PARALLEL_TASKS. Failed tasks are
+// retried according to the RETRY policy, that hooks may override. Tasks
+// interrupted by a restart are handled according to the RECOVERY policy.
 var taskqueue = new TaskQueue(gitaction, {
   taskFolder: path.join(dataFolder, 'tasks'),
-  maxItems: 1
+  maxItems: parseInt('' + (config.MAX_PARALLEL_TASKS || '4'), 10),
+  retry: config.RETRY,
+  recovery: config.RECOVERY
 });
 
 logger.log('Clean deploy keys folder...');
@@ -80,159 +125,620 @@ logger.log('Clean deploy keys folder... done');
 // The "repositories" folder may contain a hell of a lot of files.
 // To avoid spending one minute deleting files before the server
 // is up and running, let's park its contents to some other folder,
-// that will be suppressed after the server has started.
+// that the housekeeper deletes in the background once the server has
+// started. Former folders that were not fully deleted get deleted as well.
 var repositoriesFolder = path.join(dataFolder, 'repositories');
-var repositoriesBakFolder = path.join(dataFolder, 'repositories-bak');
+var repositoriesBakFolder = path.join(dataFolder,
+  'repositories-bak-' + Date.now());
 if (fs.existsSync(repositoriesFolder)) {
   logger.log('Move repositories folder...');
-  if (fs.existsSync(repositoriesBakFolder)) {
-    deleteFolder(repositoriesBakFolder);
-  }
   fs.renameSync(repositoriesFolder, repositoriesBakFolder);
   logger.log('Move repositories folder... done');
 }
 
-// Save deploy keys in "deploykeys" folder
-logger.log('Save deploy keys in ' + deploykeysFolder + '...');
-fs.mkdirSync(deploykeysFolder);
-var deploykeys = Object.keys(config).filter(function (key) {
-  return key.match(/^KEY_/);
-});
-deploykeys.forEach(function (name) {
-  logger.log('Save deploy key ' + name + '...');
-  fs.writeFileSync(
-    path.join(deploykeysFolder, name),
-    config[name], {
-      encoding: 'utf8',
-      mode: 384 // 600 in octal, restricted rights on private SSH key
-    }
-  );
-
-  // To use the private SSH key, we need to create a custom version of
-  // "ssh-noprompt.sh" that references the key. Note that the key cannot
-  // simply be set in the GIT_SSH_TMPKEY environment because that would
-  // only work for the "git clone" commands and not for the subsequent
-  // "npm install" call (which only preserves the GIT_SSH variable). In
-  // other words, this would not work if the repository depends on another
-  // private repository using a "git+ssh" URL.
-  var gitssh = 'ssh -i ' +
-    path.resolve(deploykeysFolder, name) +
-    ' -o IdentitiesOnly=yes' +
-    ' -o BatchMode=yes' +
-    ' -o UserKnownHostsFile=/dev/null' +
-    ' -o StrictHostKeyChecking=no' +
-    ' $@';
-  fs.writeFileSync(
-    path.join(deploykeysFolder, 'ssh-' + name + '.sh'),
-    gitssh, {
-      encoding: 'utf8',
-      mode: 448 // 700 in octal, to add execution rights
+/**
+ * Saves the deploy keys of the configuration in the "deploykeys" folder,
+ * along with the scripts that Git uses to connect with these keys.
+ *
+ * Only keys that are new or that changed since the given previous
+ * configuration are written. Keys that are no longer defined are deleted.
+ *
+ * @function
+ * @param {Object} previous The previous configuration, an empty object when
+ *  the server starts
+ */
+var saveDeployKeys = function (previous) {
+  logger.log('Save deploy keys in ' + deploykeysFolder + '...');
+  Object.keys(previous).forEach(function (name) {
+    if (!name.match(/^KEY_/) || config.hasOwnProperty(name)) return;
+    logger.log('Delete deploy key ' + name + '...');
+    [name, 'ssh-' + name + '.sh'].forEach(function (file) {
+      try {
+        fs.unlinkSync(path.join(deploykeysFolder, file));
+      }
+      catch (err) {
+        logger.warn('Delete deploy key ' + name + '... an error occurred',
+          err.toString());
+      }
     });
-  logger.log('Save deploy key ' + name + '... done');
-});
-logger.log('Save deploy keys in ' + deploykeysFolder + '... done');
+    logger.log('Delete deploy key ' + name + '... done');
+  });
+
+  var deploykeys = Object.keys(config).filter(function (key) {
+    return key.match(/^KEY_/) && (config[key] !== previous[key]);
+  });
+  deploykeys.forEach(function (name) {
+    logger.log('Save deploy key ' + name + '...');
+    fs.writeFileSync(
+      path.join(deploykeysFolder, name),
+      config[name], {
+        encoding: 'utf8',
+        mode: 384 // 600 in octal, restricted rights on private SSH key
+      }
+    );
+
+    // To use the private SSH key, we need to create a custom version of
+    // "ssh-noprompt.sh" that references the key. Note that the key cannot
+    // simply be set in the GIT_SSH_TMPKEY environment because that would
+    // only work for the "git clone" commands and not for the subsequent
+    // "npm install" call (which only preserves the GIT_SSH variable). In
+    // other words, this would not work if the repository depends on another
+    // private repository using a "git+ssh" URL.
+    var gitssh = 'ssh -i ' +
+      path.resolve(deploykeysFolder, name) +
+      ' -o IdentitiesOnly=yes' +
+      ' -o BatchMode=yes' +
+      ' -o UserKnownHostsFile=/dev/null' +
+      ' -o StrictHostKeyChecking=no' +
+      ' $@';
+    fs.writeFileSync(
+      path.join(deploykeysFolder, 'ssh-' + name + '.sh'),
+      gitssh, {
+        encoding: 'utf8',
+        mode: 448 // 700 in octal, to add execution rights
+      });
+    logger.log('Save deploy key ' + name + '... done');
+  });
+  logger.log('Save deploy keys in ' + deploykeysFolder + '... done');
+};
 
+fs.mkdirSync(deploykeysFolder);
+saveDeployKeys({});
 
-// Prepare GitHub hooks listener
+
+// Prepare the HTTP server of the GitHub hooks listener. Notifications are
+// processed by the webhook receiver, which checks secrets per repository.
 var github = githubhook({
   host: config.HOST || '0.0.0.0',
   port: config.PORT || '3240',
-  secret: config.HOOK_SECRET || '',
   logger: woodman.getLogger('githubhook')
 });
 
-// Register all Post receive GitHub hooks
-logger.log('register GitHub hooks...');
-var hooks = config.POST_RECEIVE_HOOKS || {};
-Object.keys(hooks).forEach(function (name) {
-  var hook = hooks[name];
-  var eventName = (hook.event || 'push');
-  if (hook.reponame) {
-    eventName += ':' + hook.reponame;
-    if (hook.ref) {
-      eventName += ':' + hook.ref;
+/**
+ * Creates the parameters of the task that runs the given hook action,
+ * completing the action with the data folder, the private key and the
+ * Git user to use.
+ *
+ * @function
+ * @param {string} name The name of the hook
+ * @param {Object} action The action to run
+ * @param {string} from What triggered the task (github, gitlab, gitea,
+ *  bitbucket, trigger, monitoring, manual)
+ * @return {Object} The task parameters
+ */
+var createTaskParams = function (name, action, from) {
+  var params = JSON.parse(JSON.stringify(action));
+  params.name = name;
+  params.from = from;
+  params.dataFolder = dataFolder;
+  params.privatekey = params.privatekey ||
+    (config.KEY_MAIN ? 'KEY_MAIN' : '');
+  params.env = params.env || {};
+  params.env.GIT_USERNAME =
+    params.env.GIT_USERNAME ||
+    config.GIT_USERNAME ||
+    'Hook Machine';
+  params.env.GIT_USEREMAIL =
+    params.env.GIT_USEREMAIL ||
+    config.GIT_USEREMAIL ||
+    'hook.machine@example.com';
+  return params;
+};
+
+
+/**
+ * Queues a run of the hook with the given name on request, the hook being
+ * either a post-receive hook or a periodic hook.
+ *
+ * @function
+ * @param {string} name The name of the hook to run
+ * @param {Object} overrides The branch and commit to checkout and additional
+ *  environment variables to set, if defined.
+ * @param {function} callback Called with the ID of the task that will run,
+ *  which may be a pending task that the new task was coalesced into, null if
+ *  the hook is unknown
+ */
+var runHook = function (name, overrides, callback) {
+  var hooks = config.POST_RECEIVE_HOOKS || {};
+  var action = null;
+  if (hooks.hasOwnProperty(name)) {
+    action = hooks[name].action;
+  }
+  else {
+    hooks = config.PERIODIC_HOOKS || {};
+    if (hooks.hasOwnProperty(name)) {
+      action = hooks[name].action || hooks[name];
+    }
+  }
+  if (!action) return callback(null, null);
+
+  var params = createTaskParams(name, action, 'manual');
+  if (overrides.branch) {
+    params.branch = overrides.branch;
+  }
+  if (overrides.commit) {
+    params.commit = overrides.commit;
+  }
+  Object.keys(overrides.env || {}).forEach(function (key) {
+    params.env[key] = overrides.env[key];
+  });
+  logger.info('queue manual run of hook ' + name);
+  taskqueue.push(params, callback);
+};
+
+
+/**
+ * Compiles the patterns that post-receive hooks use to match repository
+ * names and refs. Hooks whose patterns are invalid are reported and ignored.
+ *
+ * @function
+ * @param {Object} hooks The post-receive hooks, indexed by name
+ * @return {Object} The compiled hooks, indexed by name
+ */
+var compileHooks = function (hooks) {
+  var compiled = {};
+  Object.keys(hooks || {}).forEach(function (name) {
+    var hook = hooks[name];
+    try {
+      compiled[name] = {
+        hook: hook,
+        reponame: pattern.compileAll(hook.reponame),
+        ref: pattern.compileAll(hook.ref),
+        exclude: pattern.compileAll(hook.exclude)
+      };
+    }
+    catch (err) {
+      logger.error('invalid pattern in hook ' + name + ', hook ignored: ' +
+        err.message);
+    }
+  });
+  return compiled;
+};
+
+var postReceiveHooks = compileHooks(config.POST_RECEIVE_HOOKS);
+
+/**
+ * Returns the given secret or list of secrets as a list
+ *
+ * @function
+ * @param {string|Array(string)} secrets The secret or list of secrets
+ * @return {Array(string)} The list of secrets
+ */
+var toSecretList = function (secrets) {
+  return [].concat(secrets || []).filter(function (secret) {
+    return !!secret;
+  });
+};
+
+
+/**
+ * Returns the list of secrets that notifications on the repository of the
+ * given event may carry: the secrets of the post-receive hooks of the
+ * provider that match the repository and the secrets that HOOK_SECRETS
+ * associates with the repository. The receiver falls back to the HOOK_SECRET
+ * secrets when there are none (see getDefaultSecrets).
+ *
+ * @function
+ * @param {Object} event The normalized event (see lib/webhooks.js)
+ * @return {Array(string)} The list of secrets, empty if no secret is specific
+ *  to the repository
+ */
+var getSecrets = function (event) {
+  var secrets = [];
+  var repository = event.repository;
+  if (repository) {
+    Object.keys(postReceiveHooks).forEach(function (name) {
+      var matcher = postReceiveHooks[name];
+      var hook = matcher.hook;
+      if (((hook.provider || 'github') !== event.provider) ||
+          (matcher.reponame.length &&
+            !pattern.matchesAny(matcher.reponame, repository))) {
+        return;
+      }
+      secrets = secrets.concat(toSecretList(hook.secret));
+    });
+
+    var repoSecrets = config.HOOK_SECRETS || {};
+    Object.keys(repoSecrets).forEach(function (reponame) {
+      if (pattern.matchesAny(pattern.compileAll(reponame), repository)) {
+        secrets = secrets.concat(toSecretList(repoSecrets[reponame]));
+      }
+    });
+  }
+  return secrets;
+};
+
+
+/**
+ * Returns the list of HOOK_SECRET secrets, that apply to notifications on
+ * repositories that have no specific secret. Unlike other secrets, they may
+ * be passed in the "secret" query string parameter of the callback URL, as
+ * in previous versions of the Hook Machine.
+ *
+ * @function
+ * @return {Array(string)} The list of secrets, empty if notifications do
+ *  not need to carry a secret
+ */
+var getDefaultSecrets = function () {
+  return toSecretList(config.HOOK_SECRET);
+};
+
+
+/**
+ * Returns the list of secrets that notifications from the given provider may
+ * carry whatever their repository: the secrets of the post-receive hooks of
+ * the provider and all the HOOK_SECRETS secrets.
+ *
+ * @function
+ * @param {string} provider The name of the provider
+ * @return {Array(string)} The list of secrets
+ */
+var getProviderSecrets = function (provider) {
+  var secrets = [];
+  Object.keys(postReceiveHooks).forEach(function (name) {
+    var hook = postReceiveHooks[name].hook;
+    if ((hook.provider || 'github') === provider) {
+      secrets = secrets.concat(toSecretList(hook.secret));
+    }
+  });
+  var repoSecrets = config.HOOK_SECRETS || {};
+  Object.keys(repoSecrets).forEach(function (reponame) {
+    secrets = secrets.concat(toSecretList(repoSecrets[reponame]));
+  });
+  return secrets;
+};
+
+
+/**
+ * Queues the tasks of the post-receive hooks that match the given
+ * notification event.
+ *
+ * A hook matches an event when the provider, the event type, the repository
+ * name and the ref match, and when the ref does not match one of the
+ * patterns of the "exclude" list of the hook. The provider defaults to
+ * "github", the event type to "push". Hooks that do not set a repository
+ * name or a ref match all repositories or refs.
+ *
+ * When the action of the hook does not set a branch, the task checks out
+ * the branch or tag that was pushed. Tasks are not queued in that case when
+ * the push deleted the branch or tag. When the task checks out the branch
+ * or tag that was pushed, it checks out the pushed commit, unless the action
+ * sets its own commit or sets "pin" to false.
+ *
+ * Hooks that define their own secrets only match notifications that carry
+ * one of these secrets.
+ *
+ * @function
+ * @param {Object} event The normalized event (see lib/webhooks.js)
+ * @param {string} secret The secret that the notification carries, null if
+ *  the notification was not checked
+ * @param {function} callback Called with the IDs of the tasks that will run,
+ *  which may be pending tasks that the new tasks were coalesced into
+ */
+var dispatch = function (event, secret, callback) {
+  var tasks = [];
+  Object.keys(postReceiveHooks).forEach(function (name) {
+    var matcher = postReceiveHooks[name];
+    var hook = matcher.hook;
+    if (((hook.provider || 'github') !== event.provider) ||
+        ((hook.event || 'push') !== event.event) ||
+        (matcher.reponame.length &&
+          !pattern.matchesAny(matcher.reponame, event.repository)) ||
+        (matcher.ref.length && !pattern.matchesAny(matcher.ref, event.ref)) ||
+        pattern.matchesAny(matcher.exclude, event.ref)) {
+      return;
+    }
+    if (hook.secret && (toSecretList(hook.secret).indexOf(secret) === -1)) {
+      logger.warn('ignore ' + event.event + ' notification on ' +
+        event.provider + ' repo ' + event.repository + ' for hook ' + name +
+        ' (notification does not carry a secret of the hook)');
+      return;
+    }
+
+    var params = createTaskParams(name, hook.action, event.provider);
+    params.event = {
+      provider: event.provider,
+      event: event.event,
+      repository: event.repository,
+      ref: event.ref,
+      before: event.before,
+      commit: event.commit,
+      pusher: event.pusher
+    };
+    params.payload = event.payload;
+
+    // Branch or tag that was pushed, if any
+    var pushed = null;
+    var ref = (typeof event.ref === 'string') ? event.ref : '';
+    var branch = ref.match(/^refs\/heads\/(.+)$/);
+    if (branch) {
+      pushed = branch[1];
+    }
+    else if (ref.match(/^refs\/tags\/.+$/)) {
+      pushed = ref;
+    }
+
+    // The notification may not be signed, check what gets passed to Git
+    if ((pushed && !pushed.match(/^[\w\.\/][\w\.\/\-]*$/)) ||
+        (event.commit && ((typeof event.commit !== 'string') ||
+          !event.commit.match(/^[0-9a-f]{4,40}$/i)))) {
+      logger.warn('ignore ' + event.event + ' notification on ' +
+        event.provider + ' repo ' + event.repository +
+        ' (invalid ref or commit)');
+      return;
+    }
+    var deleted = !event.commit || !!event.commit.match(/^0+$/);
+    if (!params.branch && pushed) {
+      if (deleted) {
+        logger.info('ignore ' + event.event + ' notification on ' +
+          event.provider + ' repo ' + event.repository +
+          ' (ref ' + event.ref + ' deleted)');
+        return;
+      }
+      params.branch = pushed;
     }
+
+    // Build the pushed commit when the task checks out the pushed branch
+    if (!params.commit && (params.pin !== false) && pushed && !deleted &&
+        (params.branch === pushed)) {
+      params.commit = event.commit;
+    }
+
+    logger.info('queue action for ' + event.event +
+      ' notification on ' + event.provider + ' repo ' + event.repository +
+      ' (ref ' + event.ref + ')');
+    tasks.push(params);
+  });
+  async.mapSeries(tasks, function (params, next) {
+    taskqueue.push(params, next);
+  }, callback);
+};
+
+
+/**
+ * Queues a run of the generic trigger with the given name.
+ *
+ * @function
+ * @param {string} name The name of the trigger
+ * @param {Object} env Environment variables extracted from the payload of
+ *  the request, added to those of the action.
+ * @param {Object} payload The payload of the request
+ * @param {function} callback Called with the ID of the task that will run,
+ *  which may be a pending task that the new task was coalesced into, null if
+ *  the trigger is unknown
+ */
+var runTrigger = function (name, env, payload, callback) {
+  var triggers = config.TRIGGERS || {};
+  if (!triggers.hasOwnProperty(name) || !triggers[name].action) {
+    return callback(null, null);
   }
-  logger.log('register GitHub hook handler for event ' + eventName);
-  github.on(eventName, function () {
-    // Number of arguments depends on the event name, but last argument
-    // is always the whole data object returned by GitHub
-    var data = arguments[arguments.length - 1] || {};
-    data.repository = data.repository || {};
-    logger.info('queue action for ' + (hook.event || 'push') +
-      ' notification on repo ' + data.repository.name +
-      ' (ref ' + data.ref + ')');
-    var params = JSON.parse(JSON.stringify(hook.action));
-    params.from = 'github';
-    params.dataFolder = dataFolder;
-    params.privatekey = params.privatekey ||
-      (config.KEY_MAIN ? 'KEY_MAIN' : '');
-    params.env = params.env || {};
-    params.env.GIT_USERNAME =
-      params.env.GIT_USERNAME ||
-      config.GIT_USERNAME ||
-      'Hook Machine';
-    params.env.GIT_USEREMAIL =
-      params.env.GIT_USEREMAIL ||
-      config.GIT_USERNAME ||
-      'hook.machine@example.org';
-    taskqueue.push(params);
+
+  var params = createTaskParams(name, triggers[name].action, 'trigger');
+  params.payload = payload;
+  Object.keys(env || {}).forEach(function (key) {
+    params.env[key] = env[key];
   });
+  logger.info('queue action for trigger ' + name);
+  taskqueue.push(params, callback);
+};
+
+
+// Plug the task API and the receiver of notifications in front of the GitHub
+// hooks listener, which only handles requests to unknown URLs.
+var api = new HttpApi(taskqueue, {
+  token: config.API_TOKEN,
+  runHook: runHook,
+  getSchedules: function () {
+    return scheduler.getState();
+  }
+});
+var webhooks = new WebhookReceiver({
+  getSecrets: getSecrets,
+  getDefaultSecrets: getDefaultSecrets,
+  getProviderSecrets: getProviderSecrets,
+  dispatch: dispatch,
+  triggers: config.TRIGGERS || {},
+  runTrigger: runTrigger
+});
+var githubHandler = github.server.listeners('request')[0];
+github.server.removeAllListeners('request');
+github.server.on('request', function (req, res) {
+  if (api.handle(req, res)) return;
+  if (webhooks.handle(req, res)) return;
+  githubHandler(req, res);
+});
+
+
+// Periodic hook function, called by the scheduler when a hook is due.
+// When a task already runs on the same repository, the "whenBusy" property
+// of the hook tells whether to queue the check anyway (the default, the task
+// will run once the repository is free), to defer it until the repository
+// is free, or to skip it. The reported task ID is that of the task that will
+// run, which is not the new task when it got coalesced into a pending one.
+var periodicFunction = function (name, hook, callback) {
+  logger.info('periodic check of ' + name + '...');
+  var params = createTaskParams(name, hook.action || hook, 'monitoring');
+  var whenBusy = hook.whenBusy || 'queue';
+  if ((whenBusy !== 'queue') && taskqueue.isBusy(params)) {
+    logger.info('periodic check of ' + name + '... ' +
+      ((whenBusy === 'skip') ? 'skipped' : 'deferred') +
+      ' (running task detected)');
+    return callback(null, {
+      status: (whenBusy === 'skip') ? 'skipped' : 'deferred',
+      reason: 'running task detected'
+    });
+  }
+  logger.log('queued new monitoring action for ' + name);
+  taskqueue.push(params, function (err, taskId) {
+    if (err) return callback(err);
+    logger.info('periodic check of ' + name + '... done');
+    return callback(null, {
+      status: 'queued',
+      taskId: taskId
+    });
+  });
+};
+
+// Periodic hooks scheduler. Hooks run at the PERIODIC_INTERVAL unless they
+// define their own schedule or interval.
+var scheduler = new Scheduler(config.PERIODIC_HOOKS || {}, {
+  stateFile: path.join(dataFolder, 'schedules.json'),
+  interval: parseInt('' + (config.PERIODIC_INTERVAL || '1200'), 10),
+  run: periodicFunction
 });
-logger.log('register GitHub hooks... done');
 
+// Housekeeping of the data folder, which prunes old tasks and evicts
+// least recently used clones when the data folder goes over budget
+var housekeeping = config.HOUSEKEEPING || {};
+var housekeeper = new Housekeeper({
+  dataFolder: path.resolve(__dirname, dataFolder),
+  taskqueue: taskqueue,
+  interval: housekeeping.interval,
+  maxTaskAge: housekeeping.maxTaskAge,
+  maxTasksPerHook: housekeeping.maxTasksPerHook,
+  maxDataSize: housekeeping.maxDataSize
+});
 
-// Periodic loop function
-var periodicFunction = function () {
-  logger.info('periodic check...');
-  if (taskqueue.getNbRunningTasks() > 0) {
-    logger.info('periodic check... postponed (running task detected)');
+/**
+ * Reloads the configuration without restarting the server.
+ *
+ * The new configuration is rejected when it has errors, in which case the
+ * server keeps running with the current configuration. Otherwise, hooks,
+ * triggers, secrets, deploy keys, periodic hooks and other settings are
+ * replaced. Queued and running tasks are left alone: they keep running with
+ * the configuration they were created with.
+ *
+ * Some settings (HTTP port and host, data folder, recovery policy and log
+ * settings) are only read when the server starts. Changes are reported but
+ * only take effect after a restart.
+ *
+ * @function
+ * @param {string} reason What triggered the reload, for logging purpose
+ */
+var reloadConfig = function (reason) {
+  logger.info('reload configuration (' + reason + ')...');
+  var loaded = configLoader.load();
+  var errors = loaded.problems.filter(function (problem) {
+    return problem.level === 'error';
+  });
+  loaded.problems.forEach(function (problem) {
+    if (problem.level === 'error') {
+      logger.error(configLoader.format(problem));
+    }
+    else {
+      logger.warn(configLoader.format(problem));
+    }
+  });
+  if (errors.length) {
+    logger.error('reload configuration... rejected, the configuration has ' +
+      errors.length + ' error(s), current configuration kept');
     return;
   }
-  var hooks = config.PERIODIC_HOOKS || {};
-  Object.keys(hooks).forEach(function (name) {
-    var hook = hooks[name];
-    var params = JSON.parse(JSON.stringify(hook.action || hook));
-    params.from = 'monitoring';
-    params.dataFolder = dataFolder;
-    params.privatekey = params.privatekey ||
-      (config.KEY_MAIN ? 'KEY_MAIN' : '');
-    params.env = params.env || {};
-    params.env.GIT_USERNAME =
-      params.env.GIT_USERNAME ||
-      config.GIT_USERNAME ||
-      'Hook Machine';
-    params.env.GIT_USEREMAIL =
-      params.env.GIT_USEREMAIL ||
-      config.GIT_USERNAME ||
-      'hook.machine@example.com';
-    logger.log('queued new monitoring action for ' + name);
-    taskqueue.push(params);
-  });
-  logger.info('periodic check... done');
+
+  if (JSON.stringify(loaded.config) === JSON.stringify(config)) {
+    logger.info('reload configuration (' + reason + ')... not needed, ' +
+      'configuration unchanged');
+    return;
+  }
+
+  var previous = config;
+  config = loaded.config;
+  var restartSettings = ['PORT', 'HOST', 'DATA_FOLDER', 'RECOVERY', 'WOODMAN'];
+  restartSettings.forEach(function (key) {
+    if (JSON.stringify(config[key]) !== JSON.stringify(previous[key])) {
+      logger.warn('setting ' + key + ' changed, restart the server ' +
+        'for the change to take effect');
+    }
+  });
+
+  // Hooks, triggers and secrets
+  postReceiveHooks = compileHooks(config.POST_RECEIVE_HOOKS);
+  webhooks.options.triggers = config.TRIGGERS || {};
+  api.options.token = config.API_TOKEN;
+
+  // Deploy keys
+  saveDeployKeys(previous);
+
+  // Task queue settings, new slots may be used right away
+  taskqueue.options.maxItems =
+    parseInt('' + (config.MAX_PARALLEL_TASKS || '4'), 10);
+  taskqueue.options.retry = config.RETRY;
+  taskqueue.checkNextTask();
+
+  // Periodic hooks and housekeeping
+  scheduler.reload(config.PERIODIC_HOOKS || {}, {
+    interval: parseInt('' + (config.PERIODIC_INTERVAL || '1200'), 10)
+  });
+  housekeeping = config.HOUSEKEEPING || {};
+  housekeeper.reload({
+    interval: housekeeping.interval,
+    maxTaskAge: housekeeping.maxTaskAge,
+    maxTasksPerHook: housekeeping.maxTasksPerHook,
+    maxDataSize: housekeeping.maxDataSize
+  });
+  logger.info('reload configuration (' + reason + ')... done');
 };
 
-// Start GitHub hooks listener and delete the "repositories" folder
-// (deletion is done afterwards because that may take time and some
-// server environments might impose a startup timeout. TODO: switch
-// to an async version, otherwise deletion could make incoming requests
-// time out)
+// Reload the configuration on SIGHUP and when a configuration file changes.
+// Reloads are delayed a bit so that a file being saved is reloaded once.
+var reloadTimer = null;
+var scheduleReload = function (reason) {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(function () {
+    reloadTimer = null;
+    reloadConfig(reason);
+  }, 500);
+};
+process.on('SIGHUP', function () {
+  scheduleReload('SIGHUP');
+});
+['config.defaults.json', 'config.json'].forEach(function (file) {
+  fs.watchFile(path.resolve(__dirname, file), { interval: 2000 },
+    function (curr, prev) {
+      if (curr.mtime.getTime() === prev.mtime.getTime()) return;
+      scheduleReload(file + ' changed');
+    });
+});
+
+// Start GitHub hooks listener and start housekeeping, which deletes the
+// former "repositories" folder in the background (deletion is done
+// afterwards because that may take time and some server environments
+// might impose a startup timeout)
 github.listen(function () {
   logger.info('Server started on port ' + (config.PORT || '3240'));
   logger.log('Waiting for notifications...');
 
-  if (fs.existsSync(repositoriesBakFolder)) {
-    logger.log('Delete former "repositories" folder...');
-    deleteFolder(repositoriesBakFolder);
-    logger.log('Delete repositories folder... done');
-  }
+  logger.log('start housekeeping...');
+  housekeeper.start(function () {
+    logger.log('start housekeeping... done');
+  });
 
   // Start monitoring (run every 20 minutes by default)
   logger.log('start monitoring...');
-  var interval = parseInt('' + (config.PERIODIC_INTERVAL || '1200'), 10);
-  logger.log('monitoring interval is ' + interval + ' seconds');
-  setInterval(periodicFunction, interval * 1000);
-  logger.log('start monitoring... done, ' +
-    Object.keys(config.PERIODIC_HOOKS || {}).length + ' tasks monitored');
-  periodicFunction();
+  logger.log('default monitoring interval is ' +
+    scheduler.options.interval + ' seconds');
+  scheduler.start(function () {
+    logger.log('start monitoring... done, ' +
+      Object.keys(scheduler.entries).length + ' tasks monitored');
+  });
 });
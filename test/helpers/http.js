@@ -0,0 +1,83 @@
+/**
+ * @fileOverview HTTP helpers for tests: runs a request handler in a local
+ * HTTP server and sends requests to it.
+ */
+/*global module*/
+
+var http = require('http');
+
+
+/**
+ * Starts an HTTP server on a free port that passes requests to the given
+ * handler. Requests that the handler does not process get a 404.
+ *
+ * The handler must return true when it processes the request, as the task
+ * API and the webhook receiver do.
+ *
+ * @function
+ * @param {function} handler The request handler
+ * @param {function} callback Called with the running server
+ */
+var startServer = function (handler, callback) {
+  var server = http.createServer(function (req, res) {
+    if (handler(req, res)) return;
+    res.writeHead(404);
+    res.end();
+  });
+  server.listen(0, '127.0.0.1', function () {
+    return callback(server);
+  });
+};
+
+
+/**
+ * Sends a request to the given server
+ *
+ * @function
+ * @param {http.Server} server The server started by startServer
+ * @param {Object} options The request options: "method", "path", "headers"
+ *  and "body", a string or a Buffer
+ * @param {function} callback Called with an error, or with the status code
+ *  of the response and its body parsed as JSON when possible. The server
+ *  may close the connection once it has answered: errors that occur after
+ *  the response are ignored.
+ */
+var request = function (server, options, callback) {
+  var called = false;
+  var done = function () {
+    if (called) return;
+    called = true;
+    return callback.apply(null, arguments);
+  };
+
+  var req = http.request({
+    host: '127.0.0.1',
+    port: server.address().port,
+    method: options.method || 'GET',
+    path: options.path,
+    headers: options.headers || {}
+  }, function (res) {
+    var body = '';
+    res.setEncoding('utf8');
+    res.on('data', function (chunk) {
+      body += chunk;
+    });
+    res.on('end', function () {
+      try {
+        body = JSON.parse(body);
+      }
+      catch (err) {
+        // Not JSON, keep the body as is
+      }
+      return done(null, res.statusCode, body);
+    });
+  });
+  req.on('error', done);
+  req.end(options.body);
+};
+
+
+module.exports = {
+  startServer: startServer,
+  request: request
+};
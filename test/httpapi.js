@@ -0,0 +1,90 @@
+/**
+ * @fileOverview Tests of the task API
+ */
+/*global describe, it, before, after*/
+
+var assert = require('assert');
+var HttpApi = require('../lib/httpapi');
+var helpers = require('./helpers/http');
+
+
+describe('HttpApi', function () {
+  var server = null;
+  var runs = [];
+  var api = new HttpApi({}, {
+    token: 'token',
+    runHook: function (name, overrides, callback) {
+      runs.push(name);
+      return callback(null, (name === 'build site') ? 'task-id' : null);
+    }
+  });
+
+  before(function (done) {
+    helpers.startServer(function (req, res) {
+      return api.handle(req, res);
+    }, function (runningServer) {
+      server = runningServer;
+      return done();
+    });
+  });
+
+  after(function () {
+    server.close();
+  });
+
+
+  describe('POST /hooks/:name/run', function () {
+    it('checks the token before the hook name', function (done) {
+      helpers.request(server, {
+        method: 'POST',
+        path: '/hooks/%E0%A4%A/run'
+      }, function (err, statusCode) {
+        assert.ifError(err);
+        assert.equal(statusCode, 401);
+        return done();
+      });
+    });
+
+    it('answers 400 to malformed hook names', function (done) {
+      helpers.request(server, {
+        method: 'POST',
+        path: '/hooks/%E0%A4%A/run',
+        headers: { Authorization: 'Bearer token' }
+      }, function (err, statusCode) {
+        assert.ifError(err);
+        assert.equal(statusCode, 400);
+        assert.equal(runs.length, 0);
+        return done();
+      });
+    });
+
+    it('runs hooks whose name is encoded', function (done) {
+      helpers.request(server, {
+        method: 'POST',
+        path: '/hooks/build%20site/run',
+        headers: { Authorization: 'Bearer token' }
+      }, function (err, statusCode, body) {
+        assert.ifError(err);
+        assert.equal(statusCode, 202);
+        assert.deepEqual(body.tasks, ['task-id']);
+        assert.deepEqual(runs, ['build site']);
+        return done();
+      });
+    });
+
+    it('answers 400 to bodies that are too large', function (done) {
+      var body = new Buffer(2 * 1024 * 1024);
+      body.fill(' ');
+      helpers.request(server, {
+        method: 'POST',
+        path: '/hooks/build%20site/run',
+        headers: { Authorization: 'Bearer token' },
+        body: body
+      }, function (err, statusCode) {
+        assert.ifError(err);
+        assert.equal(statusCode, 400);
+        return done();
+      });
+    });
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * @fileOverview Tests of the provider adapters used by the webhook receiver
+ */
+/*global describe, it*/
+
+var assert = require('assert');
+var bitbucket = require('../lib/providers/bitbucket');
+
+
+describe('Bitbucket adapter', function () {
+  it('normalizes each change of a push into a push event', function () {
+    var events = bitbucket.normalize('repo:push', {
+      repository: { full_name: 'joshfire/joshfire.com' },
+      push: {
+        changes: [
+          {
+            old: { type: 'branch', name: 'master', target: { hash: 'abc' } },
+            'new': { type: 'branch', name: 'master', target: { hash: 'def' } }
+          },
+          {
+            'new': { type: 'tag', name: 'v1.0', target: { hash: '012' } }
+          }
+        ]
+      }
+    });
+    assert.equal(events.length, 2);
+    assert.equal(events[0].repository, 'joshfire.com');
+    assert.equal(events[0].ref, 'refs/heads/master');
+    assert.equal(events[0].before, 'abc');
+    assert.equal(events[0].commit, 'def');
+    assert.equal(events[1].ref, 'refs/tags/v1.0');
+    assert.equal(events[1].before, null);
+  });
+
+  it('does not throw on changes without target', function () {
+    var events = bitbucket.normalize('repo:push', {
+      push: { changes: [{ old: {} }, { 'new': {} }] }
+    });
+    assert.equal(events.length, 2);
+    assert.equal(events[0].before, null);
+    assert.equal(events[0].commit, null);
+    assert.equal(events[1].commit, null);
+  });
+
+  it('ignores null changes and changes that are not a list', function () {
+    assert.equal(bitbucket.normalize('repo:push', {
+      push: { changes: [null, { 'new': { name: 'master' } }] }
+    }).length, 1);
+    assert.equal(bitbucket.normalize('repo:push', {
+      push: { changes: 5 }
+    }).length, 0);
+    assert.equal(bitbucket.normalize('repo:push', null).length, 0);
+  });
+});
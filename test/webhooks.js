@@ -0,0 +1,162 @@
+/**
+ * @fileOverview Tests of the webhook receiver
+ */
+/*global describe, it, before, after*/
+
+var assert = require('assert');
+var crypto = require('crypto');
+var WebhookReceiver = require('../lib/webhooks');
+var helpers = require('./helpers/http');
+
+
+describe('WebhookReceiver', function () {
+  var server = null;
+  var dispatched = [];
+  var receiver = new WebhookReceiver({
+    getSecrets: function () {
+      return [];
+    },
+    getDefaultSecrets: function () {
+      return ['secret'];
+    },
+    dispatch: function (event, secret, callback) {
+      dispatched.push(event);
+      return callback(null, ['task-' + dispatched.length]);
+    },
+    triggers: {
+      cms: { secret: 'secret', action: {} }
+    },
+    runTrigger: function (name, env, payload, callback) {
+      return callback(null, 'trigger-task');
+    }
+  });
+
+  before(function (done) {
+    helpers.startServer(function (req, res) {
+      return receiver.handle(req, res);
+    }, function (runningServer) {
+      server = runningServer;
+      return done();
+    });
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  var sign = function (body) {
+    return 'sha256=' + crypto.createHmac('sha256', 'secret')
+      .update(body)
+      .digest('hex');
+  };
+
+
+  describe('provider callbacks', function () {
+    it('rejects unsigned notifications before reading their payload',
+      function (done) {
+        var provider = WebhookReceiver.getProvider('bitbucket');
+        var normalize = provider.normalize;
+        var called = false;
+        provider.normalize = function () {
+          called = true;
+          return normalize.apply(provider, arguments);
+        };
+        helpers.request(server, {
+          method: 'POST',
+          path: '/bitbucket/callback',
+          headers: { 'X-Event-Key': 'repo:push' },
+          body: '{"push":{"changes":[{"old":{}}]}}'
+        }, function (err, statusCode) {
+          provider.normalize = normalize;
+          assert.ifError(err);
+          assert.equal(statusCode, 403);
+          assert.ok(!called);
+          return done();
+        });
+      });
+
+    it('survives malformed Bitbucket payloads', function (done) {
+      var body = '{"push":{"changes":[{"old":{}},null]}}';
+      helpers.request(server, {
+        method: 'POST',
+        path: '/bitbucket/callback',
+        headers: {
+          'X-Event-Key': 'repo:push',
+          'X-Hub-Signature': sign(body)
+        },
+        body: body
+      }, function (err, statusCode) {
+        assert.ifError(err);
+        assert.equal(statusCode, 200);
+        return done();
+      });
+    });
+
+    it('answers 400 when the adapter cannot process the payload',
+      function (done) {
+        var provider = WebhookReceiver.getProvider('gitea');
+        var normalize = provider.normalize;
+        provider.normalize = function () {
+          throw new TypeError('unexpected payload');
+        };
+        var body = '{}';
+        helpers.request(server, {
+          method: 'POST',
+          path: '/gitea/callback',
+          headers: {
+            'X-Gitea-Event': 'push',
+            'X-Gitea-Signature': sign(body).substring('sha256='.length)
+          },
+          body: body
+        }, function (err, statusCode) {
+          provider.normalize = normalize;
+          assert.ifError(err);
+          assert.equal(statusCode, 400);
+          return done();
+        });
+      });
+
+    it('answers 400 to bodies that are too large', function (done) {
+      var body = new Buffer(2 * 1024 * 1024);
+      body.fill('a');
+      helpers.request(server, {
+        method: 'POST',
+        path: '/github/callback',
+        headers: { 'X-GitHub-Event': 'push' },
+        body: body
+      }, function (err, statusCode) {
+        assert.ifError(err);
+        assert.equal(statusCode, 400);
+        return done();
+      });
+    });
+  });
+
+
+  describe('generic triggers', function () {
+    it('answers 404 to malformed trigger names', function (done) {
+      helpers.request(server, {
+        method: 'POST',
+        path: '/trigger/%E0%A4%A'
+      }, function (err, statusCode) {
+        assert.ifError(err);
+        assert.equal(statusCode, 404);
+        return done();
+      });
+    });
+
+    it('runs triggers whose name is encoded', function (done) {
+      var body = '{}';
+      helpers.request(server, {
+        method: 'POST',
+        path: '/trigger/%63ms',
+        headers: { 'X-Hub-Signature-256': sign(body) },
+        body: body
+      }, function (err, statusCode) {
+        assert.ifError(err);
+        assert.equal(statusCode, 202);
+        return done();
+      });
+    });
+  });
+});